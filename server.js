@@ -12,7 +12,9 @@ const {
 const { logger } = require('./src/logger')
 const { handleUpgrade } = require('./src/websocket')
 const { restoreSessions, destroyAllSessions } = require('./src/sessions')
+const { startWatchdog, stopWatchdog } = require('./src/sessionWatchdog')
 const { cleanupOrphanBrowsers } = require('./src/browserOrphans')
+const { resumePendingDeliveries } = require('./src/webhookOutbox')
 
 if (!baseWebhookURL && enableWebHook) {
   logger.error('BASE_WEBHOOK_URL environment variable is not set. Exiting...')
@@ -37,6 +39,17 @@ const bootstrap = async () => {
     }
   }
 
+  if (enableWebHook) {
+    try {
+      const resumed = await resumePendingDeliveries()
+      if (resumed > 0) {
+        logger.info({ count: resumed }, 'Entregas de webhook pendentes retomadas do outbox')
+      }
+    } catch (err) {
+      logger.error({ err }, 'Falha ao retomar entregas pendentes do outbox de webhooks')
+    }
+  }
+
   const server = app.listen(servicePort, () => {
     logger.info(`Server running on port ${servicePort}`)
     logger.debug({ configuration: require('./src/config') }, 'Service configuration')
@@ -44,6 +57,7 @@ const bootstrap = async () => {
       logger.info('Starting all sessions')
       restoreSessions()
     }
+    startWatchdog()
   })
 
   if (enableWebSocket) {
@@ -54,6 +68,7 @@ const bootstrap = async () => {
 
   const shutdown = async (signal) => {
     logger.info({ signal }, 'Encerramento: fechando servidor e sessões WhatsApp/Puppeteer')
+    stopWatchdog()
     try {
       await destroyAllSessions()
     } catch (err) {
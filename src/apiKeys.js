@@ -0,0 +1,292 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { sessionFolderPath, globalApiKey } = require('./config')
+const { logger } = require('./logger')
+const { SCOPES } = require('./apiScopes')
+const { jwtEnabled, verifyJwt, looksLikeJwt } = require('./jwtAuth')
+const { parseCidrList } = require('./ipAllowlist')
+
+// Keys emitidas pela API; no disco fica só o SHA-256, o valor é exibido uma única vez (criação/rotação)
+const apiKeysFilePath = path.resolve(sessionFolderPath, '.api-keys.json')
+const KEY_PREFIX = 'wwa_'
+const SESSION_PATTERN = /^[\w-]+$/
+const MAX_NAME_LENGTH = 100
+const MAX_ALLOWED_IPS = 100
+
+// A API_KEY global continua valendo como chave mestra: todas as sessões, todos os escopos e a gestão de keys
+const MASTER_KEY = Object.freeze({ id: 'master', master: true, sessions: ['*'], scopes: ['*'] })
+
+let apiKeysCache = null
+let writeChain = Promise.resolve()
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex')
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a))
+  const bufB = Buffer.from(String(b))
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB)
+}
+
+const loadApiKeys = () => {
+  if (apiKeysCache) {
+    return apiKeysCache
+  }
+  apiKeysCache = []
+  try {
+    apiKeysCache = JSON.parse(fs.readFileSync(apiKeysFilePath, 'utf8'))
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.error({ err }, 'Falha ao ler API keys; apenas a API_KEY global será aceita')
+    }
+  }
+  return apiKeysCache
+}
+
+// Gravações encadeadas: criações/revogações concorrentes não se sobrescrevem
+const saveApiKeys = (apiKeys) => {
+  apiKeysCache = apiKeys
+  const write = async () => {
+    await fs.promises.mkdir(path.dirname(apiKeysFilePath), { recursive: true })
+    const tmpPath = `${apiKeysFilePath}.tmp`
+    await fs.promises.writeFile(tmpPath, JSON.stringify(apiKeysCache, null, 2), { mode: 0o600 })
+    await fs.promises.rename(tmpPath, apiKeysFilePath)
+  }
+  writeChain = writeChain.catch(() => { }).then(write)
+  return writeChain
+}
+
+const generateKey = () => `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`
+
+// Registro sem o hash, como é exposto pela API
+const toPublic = ({ hash, ...apiKey }) => apiKey
+
+/**
+ * Valida os campos de uma API key.
+ *
+ * @param {Object} input - `name`, `sessions` (ids ou "*"), `scopes` (escopos de SCOPES ou "*"), `allowedIps` (IPs/CIDR, opcional)
+ * @returns {{ value?: Object, error?: string }}
+ */
+const validateApiKeyInput = (input) => {
+  const { name, sessions, scopes, allowedIps = [] } = input || {}
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+    return { error: `name must be a string of up to ${MAX_NAME_LENGTH} characters` }
+  }
+  if (!Array.isArray(sessions) || sessions.length === 0 || !sessions.every(s => s === '*' || (typeof s === 'string' && SESSION_PATTERN.test(s)))) {
+    return { error: 'sessions must be a non-empty array of session ids or *' }
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(s => s === '*' || SCOPES.includes(s))) {
+    return { error: `scopes must be a non-empty array of: *, ${SCOPES.join(', ')}` }
+  }
+  if (!Array.isArray(allowedIps) || allowedIps.length > MAX_ALLOWED_IPS || !allowedIps.every(ip => typeof ip === 'string')) {
+    return { error: `allowedIps must be an array of up to ${MAX_ALLOWED_IPS} IPs or CIDR ranges` }
+  }
+  const { invalid } = parseCidrList(allowedIps)
+  if (invalid.length > 0) {
+    return { error: `allowedIps has invalid entries: ${invalid.join(', ')}` }
+  }
+  return {
+    value: {
+      name: name || null,
+      sessions: [...new Set(sessions)],
+      scopes: [...new Set(scopes)],
+      allowedIps: [...new Set(allowedIps.map(ip => ip.trim()))]
+    }
+  }
+}
+
+/**
+ * Cria uma API key vinculada a sessões e escopos.
+ *
+ * @param {Object} input - `name`, `sessions`, `scopes`, `allowedIps`
+ * @returns {Promise<{ key?: string, apiKey?: Object, error?: string }>} `key` é o valor em texto, retornado só aqui
+ */
+const createApiKey = async (input) => {
+  const { value, error } = validateApiKeyInput(input)
+  if (error) {
+    return { error }
+  }
+  const key = generateKey()
+  const apiKey = {
+    id: crypto.randomUUID(),
+    name: value.name,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    hash: hashKey(key),
+    sessions: value.sessions,
+    scopes: value.scopes,
+    allowedIps: value.allowedIps,
+    createdAt: Date.now(),
+    rotatedAt: null,
+    revokedAt: null
+  }
+  await saveApiKeys([...loadApiKeys(), apiKey])
+  logger.info({ apiKeyId: apiKey.id, sessions: apiKey.sessions, scopes: apiKey.scopes }, 'API key criada')
+  return { key, apiKey: toPublic(apiKey) }
+}
+
+/**
+ * Lista as API keys (sem os hashes), inclusive as revogadas.
+ *
+ * @returns {Object[]}
+ */
+const listApiKeys = () => loadApiKeys().map(toPublic)
+
+/**
+ * Altera nome, sessões, escopos e/ou IPs permitidos de uma key; campos ausentes ficam como estão.
+ *
+ * @param {string} apiKeyId - Id da key
+ * @param {Object} changes - `name`, `sessions`, `scopes`, `allowedIps`
+ * @returns {Promise<{ apiKey?: Object, error?: string }|null>} null se a key não existir ou estiver revogada
+ */
+const updateApiKey = async (apiKeyId, changes) => {
+  const apiKeys = loadApiKeys()
+  const current = apiKeys.find(apiKey => apiKey.id === apiKeyId)
+  if (!current || current.revokedAt) {
+    return null
+  }
+  const { name, sessions, scopes, allowedIps } = changes || {}
+  const { value, error } = validateApiKeyInput({
+    name: name !== undefined ? name : current.name,
+    sessions: sessions !== undefined ? sessions : current.sessions,
+    scopes: scopes !== undefined ? scopes : current.scopes,
+    allowedIps: allowedIps !== undefined ? allowedIps : current.allowedIps
+  })
+  if (error) {
+    return { error }
+  }
+  const updated = { ...current, ...value }
+  await saveApiKeys(apiKeys.map(apiKey => apiKey.id === apiKeyId ? updated : apiKey))
+  logger.info({ apiKeyId, sessions: updated.sessions, scopes: updated.scopes, allowedIps: updated.allowedIps }, 'API key alterada')
+  return { apiKey: toPublic(updated) }
+}
+
+/**
+ * Revoga uma API key. O registro é mantido para consulta.
+ *
+ * @param {string} apiKeyId - Id da key
+ * @returns {Promise<Object|null>} Key revogada, ou null se não existir
+ */
+const revokeApiKey = async (apiKeyId) => {
+  const apiKeys = loadApiKeys()
+  const current = apiKeys.find(apiKey => apiKey.id === apiKeyId)
+  if (!current) {
+    return null
+  }
+  if (current.revokedAt) {
+    return toPublic(current)
+  }
+  const updated = { ...current, revokedAt: Date.now() }
+  await saveApiKeys(apiKeys.map(apiKey => apiKey.id === apiKeyId ? updated : apiKey))
+  logger.info({ apiKeyId }, 'API key revogada')
+  return toPublic(updated)
+}
+
+/**
+ * Gera um novo valor para a key, mantendo id, sessões e escopos. O valor anterior deixa de valer na hora.
+ *
+ * @param {string} apiKeyId - Id da key
+ * @returns {Promise<{ key: string, apiKey: Object }|null>} null se a key não existir ou estiver revogada
+ */
+const rotateApiKey = async (apiKeyId) => {
+  const apiKeys = loadApiKeys()
+  const current = apiKeys.find(apiKey => apiKey.id === apiKeyId)
+  if (!current || current.revokedAt) {
+    return null
+  }
+  const key = generateKey()
+  const updated = { ...current, prefix: key.slice(0, KEY_PREFIX.length + 6), hash: hashKey(key), rotatedAt: Date.now() }
+  await saveApiKeys(apiKeys.map(apiKey => apiKey.id === apiKeyId ? updated : apiKey))
+  logger.info({ apiKeyId }, 'API key rotacionada')
+  return { key, apiKey: toPublic(updated) }
+}
+
+/**
+ * Identifica a key recebida na requisição.
+ *
+ * @param {string} key - Valor recebido (header x-api-key, token...)
+ * @returns {Object|null} `{ id, sessions, scopes, allowedIps }` (com `master: true` para a API_KEY global), ou null se inválida
+ */
+const authenticateApiKey = (key) => {
+  if (!key || typeof key !== 'string') {
+    return null
+  }
+  if (globalApiKey && safeEqual(key, globalApiKey)) {
+    return MASTER_KEY
+  }
+  const hash = hashKey(key)
+  const apiKey = loadApiKeys().find(candidate => candidate.hash === hash && !candidate.revokedAt)
+  return apiKey ? { id: apiKey.id, name: apiKey.name, sessions: apiKey.sessions, scopes: apiKey.scopes, allowedIps: apiKey.allowedIps || [] } : null
+}
+
+// Com API_KEY ou JWT configurado toda requisição precisa de credencial; sem nenhum dos dois o acesso é livre
+const authRequired = Boolean(globalApiKey) || jwtEnabled
+
+/**
+ * Autentica a credencial da requisição: JWT bearer ou API key (global ou emitida pela API).
+ * Onde não há header Authorization (upgrade de WebSocket do navegador, EventSource), o JWT pode vir no lugar da key.
+ *
+ * @param {Object} credentials - `apiKey` (x-api-key, token...) e/ou `bearerToken` (Authorization: Bearer)
+ * @returns {{ principal?: Object, error?: string }} `principal` como em `authenticateApiKey`
+ */
+const authenticateCredentials = ({ apiKey, bearerToken }) => {
+  if (bearerToken && jwtEnabled) {
+    const { principal, error } = verifyJwt(bearerToken)
+    return principal ? { principal } : { error: `Invalid bearer token: ${error}` }
+  }
+  const principal = authenticateApiKey(apiKey)
+  if (principal) {
+    return { principal }
+  }
+  if (jwtEnabled && looksLikeJwt(apiKey)) {
+    const verified = verifyJwt(apiKey)
+    return verified.principal ? { principal: verified.principal } : { error: `Invalid bearer token: ${verified.error}` }
+  }
+  return { error: 'Invalid API key' }
+}
+
+/**
+ * Verifica se a key autenticada pode usar o escopo na sessão.
+ * Sem credencial (nem API_KEY nem JWT configurados, acesso livre) tudo é permitido.
+ *
+ * @param {Object|undefined} principal - Retorno de `authenticateApiKey`
+ * @param {string|undefined} scope - Escopo exigido; undefined para endpoints exclusivos da chave mestra
+ * @param {string} [sessionId] - Sessão alvo; ausente em endpoints que atuam em todas as sessões
+ * @returns {{ allowed: boolean, error?: string }}
+ */
+const authorizeApiKey = (principal, scope, sessionId) => {
+  if (!principal || principal.master) {
+    return { allowed: true }
+  }
+  if (!scope) {
+    return { allowed: false, error: 'This endpoint requires the global API key' }
+  }
+  const credential = principal.jwt ? 'Token' : 'API key'
+  if (!principal.scopes.includes('*') && !principal.scopes.includes(scope)) {
+    return { allowed: false, error: `${credential} is missing the ${scope} scope` }
+  }
+  if (!principal.sessions.includes('*')) {
+    if (!sessionId) {
+      return { allowed: false, error: `This endpoint requires ${principal.jwt ? 'a token' : 'an API key'} bound to all sessions` }
+    }
+    if (!principal.sessions.includes(sessionId)) {
+      return { allowed: false, error: `${credential} is not allowed for session ${sessionId}` }
+    }
+  }
+  return { allowed: true }
+}
+
+if (!authRequired && loadApiKeys().some(apiKey => !apiKey.revokedAt)) {
+  logger.warn('API keys cadastradas, mas API_KEY não está definida: o acesso à API segue livre')
+}
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+  rotateApiKey,
+  authenticateApiKey,
+  authenticateCredentials,
+  authorizeApiKey,
+  authRequired
+}
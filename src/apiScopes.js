@@ -0,0 +1,209 @@
+// Escopos que podem ser atribuídos a uma API key; `*` concede todos
+const SCOPES = [
+  'session:admin',
+  'session:read',
+  'messages:send',
+  'messages:read',
+  'chats:manage',
+  'groups:manage',
+  'channels:manage',
+  'webhooks:manage',
+  'audit:read',
+  'methods:run'
+]
+
+// Escopo exigido por endpoint, por grupo de rotas (primeiro segmento do path dentro do router).
+// Endpoint fora da tabela só é acessível pela API_KEY global
+const ROUTE_SCOPES = {
+  health: {
+    getWebSocketStats: 'session:admin'
+  },
+  session: {
+    getSessions: 'session:read',
+    getSessionDetails: 'session:read',
+    getRestoreProgress: 'session:read',
+    start: 'session:admin',
+    stop: 'session:admin',
+    status: 'session:read',
+    getStateHistory: 'session:read',
+    getHealth: 'session:read',
+    qr: 'session:admin',
+    requestPairingCode: 'session:admin',
+    restart: 'session:admin',
+    terminate: 'session:admin',
+    terminateInactive: 'session:admin',
+    terminateAll: 'session:admin',
+    getPageScreenshot: 'session:admin',
+    // GET também: a configuração traz URL de webhook e proxy
+    config: 'session:admin',
+    getEvents: 'messages:read',
+    events: 'messages:read'
+  },
+  client: {
+    getClassInfo: 'session:read',
+    acceptInvite: 'groups:manage',
+    archiveChat: 'chats:manage',
+    createGroup: 'groups:manage',
+    getBlockedContacts: 'messages:read',
+    getChatById: 'messages:read',
+    getChatLabels: 'messages:read',
+    getChats: 'messages:read',
+    getChatsByLabelId: 'messages:read',
+    getCommonGroups: 'messages:read',
+    getContactById: 'messages:read',
+    getContacts: 'messages:read',
+    getInviteInfo: 'messages:read',
+    getLabelById: 'messages:read',
+    getLabels: 'messages:read',
+    addOrRemoveLabels: 'chats:manage',
+    getNumberId: 'messages:read',
+    isRegisteredUser: 'messages:read',
+    getProfilePicUrl: 'messages:read',
+    getState: 'session:read',
+    markChatUnread: 'chats:manage',
+    muteChat: 'chats:manage',
+    pinChat: 'chats:manage',
+    searchMessages: 'messages:read',
+    sendMessage: 'messages:send',
+    sendPresenceAvailable: 'messages:send',
+    sendPresenceUnavailable: 'messages:send',
+    sendSeen: 'messages:send',
+    setDisplayName: 'session:admin',
+    setProfilePicture: 'session:admin',
+    setStatus: 'session:admin',
+    unarchiveChat: 'chats:manage',
+    unmuteChat: 'chats:manage',
+    unpinChat: 'chats:manage',
+    getWWebVersion: 'session:read',
+    deleteProfilePicture: 'session:admin',
+    setAutoDownloadAudio: 'session:admin',
+    setAutoDownloadDocuments: 'session:admin',
+    setAutoDownloadPhotos: 'session:admin',
+    setAutoDownloadVideos: 'session:admin',
+    syncHistory: 'chats:manage',
+    getContactDeviceCount: 'messages:read',
+    getCountryCode: 'messages:read',
+    getFormattedNumber: 'messages:read',
+    openChatWindow: 'chats:manage',
+    openChatWindowAt: 'chats:manage',
+    resetState: 'session:admin',
+    setBackgroundSync: 'session:admin',
+    getContactLidAndPhone: 'messages:read',
+    getChannelByInviteCode: 'messages:read',
+    getChannels: 'messages:read',
+    createChannel: 'channels:manage',
+    subscribeToChannel: 'channels:manage',
+    unsubscribeFromChannel: 'channels:manage',
+    searchChannels: 'messages:read',
+    runMethod: 'methods:run'
+  },
+  chat: {
+    getClassInfo: 'messages:read',
+    clearMessages: 'chats:manage',
+    clearState: 'messages:send',
+    delete: 'chats:manage',
+    fetchMessages: 'messages:read',
+    getContact: 'messages:read',
+    sendStateRecording: 'messages:send',
+    sendStateTyping: 'messages:send',
+    sendSeen: 'messages:send',
+    markUnread: 'chats:manage',
+    syncHistory: 'chats:manage',
+    getLabels: 'messages:read',
+    changeLabels: 'chats:manage',
+    runMethod: 'methods:run'
+  },
+  groupChat: {
+    getClassInfo: 'messages:read',
+    addParticipants: 'groups:manage',
+    demoteParticipants: 'groups:manage',
+    getInviteCode: 'groups:manage',
+    leave: 'groups:manage',
+    promoteParticipants: 'groups:manage',
+    removeParticipants: 'groups:manage',
+    revokeInvite: 'groups:manage',
+    setDescription: 'groups:manage',
+    setInfoAdminsOnly: 'groups:manage',
+    setMessagesAdminsOnly: 'groups:manage',
+    setSubject: 'groups:manage',
+    setPicture: 'groups:manage',
+    deletePicture: 'groups:manage',
+    getGroupMembershipRequests: 'groups:manage',
+    approveGroupMembershipRequests: 'groups:manage',
+    rejectGroupMembershipRequests: 'groups:manage',
+    runMethod: 'methods:run'
+  },
+  message: {
+    getClassInfo: 'messages:read',
+    delete: 'messages:send',
+    downloadMedia: 'messages:read',
+    downloadMediaAsData: 'messages:read',
+    forward: 'messages:send',
+    getInfo: 'messages:read',
+    getMentions: 'messages:read',
+    getOrder: 'messages:read',
+    getPayment: 'messages:read',
+    getQuotedMessage: 'messages:read',
+    react: 'messages:send',
+    reply: 'messages:send',
+    star: 'chats:manage',
+    unstar: 'chats:manage',
+    getReactions: 'messages:read',
+    getGroupMentions: 'messages:read',
+    edit: 'messages:send',
+    getContact: 'messages:read',
+    getPollVotes: 'messages:read',
+    runMethod: 'methods:run'
+  },
+  contact: {
+    getClassInfo: 'messages:read',
+    block: 'chats:manage',
+    getAbout: 'messages:read',
+    getChat: 'messages:read',
+    unblock: 'chats:manage',
+    getFormattedNumber: 'messages:read',
+    getCountryCode: 'messages:read',
+    getProfilePicUrl: 'messages:read',
+    getCommonGroups: 'messages:read'
+  },
+  channel: {
+    getClassInfo: 'messages:read',
+    sendMessage: 'messages:send',
+    fetchMessages: 'messages:read',
+    sendSeen: 'messages:send',
+    mute: 'channels:manage',
+    unmute: 'channels:manage',
+    acceptChannelAdminInvite: 'channels:manage',
+    sendChannelAdminInvite: 'channels:manage',
+    revokeChannelAdminInvite: 'channels:manage',
+    transferChannelOwnership: 'channels:manage',
+    demoteChannelAdmin: 'channels:manage',
+    getSubscribers: 'messages:read',
+    setProfilePicture: 'channels:manage',
+    setDescription: 'channels:manage',
+    setSubject: 'channels:manage',
+    setReactionSetting: 'channels:manage',
+    deleteChannel: 'channels:manage'
+  },
+  webhooks: {
+    getDeadLetters: 'webhooks:manage',
+    getDeadLetter: 'webhooks:manage',
+    replayDeadLetters: 'webhooks:manage',
+    purgeDeadLetters: 'webhooks:manage',
+    getSubscriptions: 'webhooks:manage',
+    createSubscription: 'webhooks:manage',
+    updateSubscription: 'webhooks:manage',
+    deleteSubscription: 'webhooks:manage',
+    getDeliveryLog: 'webhooks:manage',
+    getDeliveryStats: 'webhooks:manage',
+    getCircuitBreakers: 'webhooks:manage'
+  },
+  audit: {
+    getEntries: 'audit:read'
+  }
+}
+
+module.exports = {
+  SCOPES,
+  ROUTE_SCOPES
+}
@@ -2,7 +2,7 @@ require('./routes')
 const express = require('express')
 const cors = require('cors')
 const { routes } = require('./routes')
-const { maxAttachmentSize, basePath, trustProxy } = require('./config')
+const { maxAttachmentSize, basePath, trustProxy, enableLocalCallbackExample } = require('./config')
 
 const app = express()
 
@@ -14,6 +14,16 @@ if (trustProxy) {
   app.set('trust proxy', true)
 }
 
+// rawBody preservado só no receptor de exemplo, para validar a assinatura dos webhooks;
+// roda antes do parser global, que ignora o corpo já lido
+if (enableLocalCallbackExample) {
+  app.post(`${basePath.replace(/\/+$/, '')}/localCallbackExample`, express.json({
+    limit: maxAttachmentSize + 1000000,
+    verify: (req, res, buf) => {
+      req.rawBody = buf
+    }
+  }))
+}
 app.use(express.json({ limit: maxAttachmentSize + 1000000 }))
 app.use(express.urlencoded({ limit: maxAttachmentSize + 1000000, extended: true }))
 
@@ -0,0 +1,191 @@
+const fs = require('fs')
+const path = require('path')
+const { auditLogEnabled, auditLogPath, auditLogMaxFileSize, auditLogMaxFiles } = require('./config')
+const { logger } = require('./logger')
+
+// JSONL só com acréscimos; ao passar de AUDIT_LOG_MAX_FILE_SIZE o arquivo atual vira audit-<ms>.jsonl
+const auditLogRoot = path.resolve(auditLogPath)
+const CURRENT_FILE = 'audit.jsonl'
+const ROTATED_FILE_PATTERN = /^audit-(\d+)\.jsonl$/
+
+// Endpoints de consulta não são auditados; o restante (inclusive start/stop/terminate, que são GET) é
+const READ_ONLY_ENDPOINT_PATTERN = /^(get|fetch|search|is|download)[A-Z]|^(status|qr|events)$/
+// Endpoints em que o verbo HTTP diz se é consulta (GET) ou alteração (POST/DELETE)
+const RESOURCE_ENDPOINTS = ['config']
+
+// Campos do corpo que identificam o alvo da chamada; conteúdo de mensagens nunca vai para o log
+const TARGET_FIELDS = ['chatId', 'contactId', 'messageId', 'channelId', 'destinationChatId', 'participantIds', 'contactIds', 'userIds', 'method']
+const MAX_TARGET_ITEMS = 50
+
+let currentSize = null
+let writeChain = Promise.resolve()
+
+/**
+ * Indica se o endpoint altera estado e, portanto, deve ser auditado.
+ *
+ * @param {string} endpoint - Primeiro segmento do path dentro do router (ex.: `sendMessage`)
+ * @param {string} [method] - Verbo HTTP
+ * @returns {boolean}
+ */
+const isMutatingEndpoint = (endpoint, method) =>
+  Boolean(endpoint) && !READ_ONLY_ENDPOINT_PATTERN.test(endpoint) && !(method === 'GET' && RESOURCE_ENDPOINTS.includes(endpoint))
+
+/**
+ * Extrai do corpo da requisição os identificadores do alvo (chat, contato, participantes...).
+ *
+ * @param {Object} [body] - Corpo da requisição
+ * @returns {Object|null} Campos de TARGET_FIELDS presentes, ou null se nenhum
+ */
+const pickTarget = (body) => {
+  if (!body || typeof body !== 'object') {
+    return null
+  }
+  const target = {}
+  for (const field of TARGET_FIELDS) {
+    const value = body[field]
+    if (typeof value === 'string' || typeof value === 'number') {
+      target[field] = String(value)
+    } else if (Array.isArray(value)) {
+      target[field] = value.filter(item => typeof item === 'string').slice(0, MAX_TARGET_ITEMS)
+    }
+  }
+  return Object.keys(target).length > 0 ? target : null
+}
+
+const listRotatedFiles = async () => {
+  let names = []
+  try {
+    names = await fs.promises.readdir(auditLogRoot)
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err
+    }
+  }
+  return names
+    .map(name => ROTATED_FILE_PATTERN.exec(name))
+    .filter(Boolean)
+    .map(match => ({ name: match[0], rotatedAt: Number(match[1]) }))
+    .sort((a, b) => b.rotatedAt - a.rotatedAt)
+}
+
+const rotate = async () => {
+  try {
+    await fs.promises.rename(path.join(auditLogRoot, CURRENT_FILE), path.join(auditLogRoot, `audit-${Date.now()}.jsonl`))
+  } catch (err) {
+    // arquivo atual removido por fora: recomeça do zero
+    if (err.code !== 'ENOENT') {
+      throw err
+    }
+  }
+  currentSize = 0
+  const rotated = await listRotatedFiles()
+  for (const { name } of rotated.slice(Math.max(0, auditLogMaxFiles - 1))) {
+    await fs.promises.unlink(path.join(auditLogRoot, name))
+  }
+}
+
+const appendEntry = async (entry) => {
+  const line = JSON.stringify(entry) + '\n'
+  await fs.promises.mkdir(auditLogRoot, { recursive: true, mode: 0o700 })
+  if (currentSize === null) {
+    try {
+      currentSize = (await fs.promises.stat(path.join(auditLogRoot, CURRENT_FILE))).size
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err
+      }
+      currentSize = 0
+    }
+  }
+  if (currentSize > 0 && currentSize + Buffer.byteLength(line) > auditLogMaxFileSize) {
+    await rotate()
+  }
+  await fs.promises.appendFile(path.join(auditLogRoot, CURRENT_FILE), line, { mode: 0o600 })
+  currentSize += Buffer.byteLength(line)
+}
+
+/**
+ * Acrescenta uma entrada ao log de auditoria. A gravação é assíncrona e encadeada (ordem preservada);
+ * falhas são logadas e não afetam a requisição auditada.
+ *
+ * @param {Object} entry - `keyId`, `ip`, `method`, `route`, `sessionId`, `target`, `status` (null se o cliente desconectou antes da resposta)
+ *   e opcionalmente `durationMs` e `reason` (ex.: `ip_not_allowed`)
+ */
+const recordAuditEntry = (entry) => {
+  if (!auditLogEnabled) {
+    return
+  }
+  const { status } = entry
+  const record = {
+    timestamp: Date.now(),
+    ...entry,
+    outcome: status === null ? 'aborted' : status < 400 ? 'success' : status === 401 || status === 403 ? 'denied' : 'failure'
+  }
+  writeChain = writeChain
+    .then(() => appendEntry(record))
+    .catch(err => logger.error({ err, route: entry.route }, 'Falha ao gravar log de auditoria'))
+}
+
+const readEntries = async (name) => {
+  let content
+  try {
+    content = await fs.promises.readFile(path.join(auditLogRoot, name), 'utf8')
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return []
+    }
+    throw err
+  }
+  const entries = []
+  for (const line of content.split('\n')) {
+    if (!line) continue
+    try {
+      entries.push(JSON.parse(line))
+    } catch {
+      // linha truncada por queda no meio do append
+    }
+  }
+  return entries
+}
+
+/**
+ * Consulta o log de auditoria, do mais recente para o mais antigo.
+ *
+ * @param {Object} [filters] - `sessionId`, `keyId`, `outcome`, `from` e `to` (ms, inclusivos), `limit`
+ * @returns {Promise<Object[]>} Entradas que atendem aos filtros, no máximo `limit`
+ */
+const queryAuditLog = async ({ sessionId, keyId, outcome, from, to, limit = 100 } = {}) => {
+  // entradas ainda na fila de gravação também entram na consulta
+  await writeChain
+  const matches = (entry) =>
+    (sessionId === undefined || entry.sessionId === sessionId) &&
+    (keyId === undefined || entry.keyId === keyId) &&
+    (outcome === undefined || entry.outcome === outcome) &&
+    (from === undefined || entry.timestamp >= from) &&
+    (to === undefined || entry.timestamp <= to)
+  const result = []
+  const files = [{ name: CURRENT_FILE, rotatedAt: Infinity }, ...await listRotatedFiles()]
+  for (const { name, rotatedAt } of files) {
+    // arquivos rotacionados antes de `from` só têm entradas anteriores a ele
+    if (from !== undefined && rotatedAt < from) {
+      break
+    }
+    const entries = await readEntries(name)
+    for (let i = entries.length - 1; i >= 0 && result.length < limit; i--) {
+      if (matches(entries[i])) {
+        result.push(entries[i])
+      }
+    }
+    if (result.length >= limit) {
+      break
+    }
+  }
+  return result
+}
+
+module.exports = {
+  isMutatingEndpoint,
+  pickTarget,
+  recordAuditEntry,
+  queryAuditLog
+}
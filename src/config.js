@@ -9,6 +9,16 @@ const sessionFolderPath = process.env.SESSIONS_PATH || './sessions'
 const resolvedSessionsPath = path.resolve(sessionFolderPath)
 const enableLocalCallbackExample = (process.env.ENABLE_LOCAL_CALLBACK_EXAMPLE || '').toLowerCase() === 'true'
 const globalApiKey = process.env.API_KEY
+// JWT bearer (opcional): HS256 com segredo compartilhado e/ou RS256/ES256 com chaves públicas de um arquivo JWKS
+const jwtSecret = process.env.JWT_SECRET || null
+const jwtJwksPath = process.env.JWT_JWKS_PATH || null
+const jwtIssuer = process.env.JWT_ISSUER || null
+const jwtAudience = process.env.JWT_AUDIENCE || null
+const jwtSessionsClaim = process.env.JWT_SESSIONS_CLAIM || 'sessions'
+const jwtScopesClaim = process.env.JWT_SCOPES_CLAIM || 'scope'
+const jwtClockToleranceSec = Math.max(0, parseInt(process.env.JWT_CLOCK_TOLERANCE_SEC || '30', 10))
+// IPs e blocos CIDR autorizados a chamar a API (vazio: qualquer origem); com TRUST_PROXY vale o IP do X-Forwarded-For
+const ipAllowlist = (process.env.IP_ALLOWLIST || '').split(',').map(entry => entry.trim()).filter(Boolean)
 const baseWebhookURL = process.env.BASE_WEBHOOK_URL
 const maxAttachmentSize = parseInt(process.env.MAX_ATTACHMENT_SIZE) || 10000000
 const setMessagesAsSeen = (process.env.SET_MESSAGES_AS_SEEN || '').toLowerCase() === 'true'
@@ -18,6 +28,17 @@ const webVersion = process.env.WEB_VERSION
 const webVersionCacheType = process.env.WEB_VERSION_CACHE_TYPE || 'none'
 const rateLimitMax = parseInt(process.env.RATE_LIMIT_MAX) || 1000
 const rateLimitWindowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 1000
+// Limite de requisições das rotas da API por API key e por sessão, na janela API_RATE_LIMIT_WINDOW_MS (0 desativa)
+const apiRateLimitWindowMs = Math.max(1000, parseInt(process.env.API_RATE_LIMIT_WINDOW_MS || '60000', 10))
+const apiRateLimitPerKey = Math.max(0, parseInt(process.env.API_RATE_LIMIT_PER_KEY || '1200', 10))
+const apiRateLimitPerSession = Math.max(0, parseInt(process.env.API_RATE_LIMIT_PER_SESSION || '600', 10))
+// Envio de mensagens por sessão e por chat de destino, para reduzir o risco de banimento (0 desativa cada limite)
+const sendSessionMaxPerMinute = Math.max(0, parseInt(process.env.SEND_SESSION_MAX_PER_MINUTE || '0', 10))
+const sendSessionMinIntervalMs = Math.max(0, parseInt(process.env.SEND_SESSION_MIN_INTERVAL_MS || '0', 10))
+const sendSessionMaxPerDay = Math.max(0, parseInt(process.env.SEND_SESSION_MAX_PER_DAY || '0', 10))
+const sendChatMaxPerMinute = Math.max(0, parseInt(process.env.SEND_CHAT_MAX_PER_MINUTE || '0', 10))
+const sendChatMinIntervalMs = Math.max(0, parseInt(process.env.SEND_CHAT_MIN_INTERVAL_MS || '0', 10))
+const sendChatMaxPerDay = Math.max(0, parseInt(process.env.SEND_CHAT_MAX_PER_DAY || '0', 10))
 const recoverSessions = (process.env.RECOVER_SESSIONS || '').toLowerCase() === 'true'
 const chromeBin = process.env.CHROME_BIN || null
 const headless = process.env.HEADLESS ? (process.env.HEADLESS).toLowerCase() === 'true' : true
@@ -32,6 +53,17 @@ const trustProxy = process.env.TRUST_PROXY ? (process.env.TRUST_PROXY).toLowerCa
 const clientInitializeMaxRetries = Math.max(1, parseInt(process.env.CLIENT_INITIALIZE_MAX_RETRIES || '5', 10))
 const clientInitializeRetryBaseMs = Math.max(200, parseInt(process.env.CLIENT_INITIALIZE_RETRY_BASE_MS || '1500', 10))
 const puppeteerProtocolTimeoutMs = Math.max(0, parseInt(process.env.PUPPETEER_PROTOCOL_TIMEOUT_MS || '300000', 10))
+// Restauração no boot: sessões iniciadas ao mesmo tempo e intervalo mínimo entre lançamentos do Chrome
+const sessionRestoreConcurrency = Math.max(1, parseInt(process.env.SESSION_RESTORE_CONCURRENCY || '1', 10))
+const sessionRestoreStaggerMs = Math.max(0, parseInt(process.env.SESSION_RESTORE_STAGGER_MS || '0', 10))
+// Watchdog: sonda periódica das sessões e escada de remediação aplicada após falhas consecutivas
+const watchdogEnabled = (process.env.WATCHDOG_ENABLED || '').toLowerCase() === 'true'
+const watchdogIntervalMs = Math.max(5000, parseInt(process.env.WATCHDOG_INTERVAL_MS || '60000', 10))
+const watchdogProbeTimeoutMs = Math.max(1000, parseInt(process.env.WATCHDOG_PROBE_TIMEOUT_MS || '10000', 10))
+const watchdogMaxEventAgeMs = Math.max(0, parseInt(process.env.WATCHDOG_MAX_EVENT_AGE_MS || '0', 10))
+const watchdogFailureThreshold = Math.max(1, parseInt(process.env.WATCHDOG_FAILURE_THRESHOLD || '2', 10))
+const watchdogRemediation = (process.env.WATCHDOG_REMEDIATION || 'reload_page,reload_session,restart,mark_failed')
+  .split(',').map(action => action.trim().toLowerCase()).filter(Boolean)
 // Padrão true: após esgotar retentativas, apaga session-<id> e tenta initialize uma vez do zero (novo QR se necessário). Defina false para desativar
 const wipeSessionDataAfterInitFailure = (process.env.WIPE_SESSION_DATA_AFTER_INIT_FAILURE || 'true').toLowerCase() === 'true'
 // Identifica processos Chrome lançados por esta API (flag + pasta user-data-dir); permitir override por instância/tenant no mesmo host
@@ -40,6 +72,79 @@ const wwebjsBrowserMarker = /^[a-zA-Z0-9_-]{4,128}$/.test(rawWwebjsBrowserMarker
   ? rawWwebjsBrowserMarker
   : crypto.createHash('sha256').update(resolvedSessionsPath).digest('hex').slice(0, 24)
 const cleanupOrphanBrowsersOnStartup = (process.env.CLEANUP_ORPHAN_BROWSERS_ON_STARTUP || 'true').toLowerCase() === 'true'
+// Outbox de webhooks: tentativas antes de mover a entrega para dead-letter e backoff exponencial entre elas
+const webhookMaxAttempts = Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10))
+const webhookRetryBaseMs = Math.max(100, parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '2000', 10))
+const webhookRetryMaxMs = Math.max(webhookRetryBaseMs, parseInt(process.env.WEBHOOK_RETRY_MAX_MS || '300000', 10))
+// Limites do outbox (0 = sem limite): entregas pendentes por fila (sessão + destino) e entregas em dead-letter por sessão
+const webhookQueueMaxSize = Math.max(0, parseInt(process.env.WEBHOOK_QUEUE_MAX_SIZE || '1000', 10))
+const webhookDeadLetterMaxPerSession = Math.max(0, parseInt(process.env.WEBHOOK_DEAD_LETTER_MAX_PER_SESSION || '1000', 10))
+// Assinaturas e webhook.url da configuração da sessão (cadastrados via API) não alcançam loopback nem redes privadas,
+// salvo com WEBHOOK_ALLOW_PRIVATE_TARGETS=TRUE (receptores na mesma rede do servidor)
+const webhookAllowPrivateTargets = (process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS || '').toLowerCase() === 'true'
+// Assinatura HMAC dos webhooks; o segredo anterior continua aceito/assinado durante a rotação
+const webhookSecret = process.env.WEBHOOK_SECRET || null
+const webhookSecretPrevious = process.env.WEBHOOK_SECRET_PREVIOUS || null
+const webhookSignatureToleranceSec = Math.max(1, parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SEC || '300', 10))
+// Quantidade de tentativas de entrega mantidas em memória por sessão para consulta via API
+const webhookDeliveryLogSize = Math.max(1, parseInt(process.env.WEBHOOK_DELIVERY_LOG_SIZE || '500', 10))
+// Formato do payload do webhook padrão: 'raw' (objetos da lib, legado) ou 'normalized' (schema versionado)
+const webhookPayloadFormat = (process.env.WEBHOOK_PAYLOAD_FORMAT || 'raw').toLowerCase() === 'normalized' ? 'normalized' : 'raw'
+// Proteção do receptor: timeout por requisição, requisições simultâneas por URL e circuit breaker
+const webhookTimeoutMs = Math.max(1000, parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10))
+const webhookMaxConcurrencyPerTarget = Math.max(1, parseInt(process.env.WEBHOOK_MAX_CONCURRENCY_PER_TARGET || '10', 10))
+const webhookCircuitFailureThreshold = Math.max(1, parseInt(process.env.WEBHOOK_CIRCUIT_FAILURE_THRESHOLD || '5', 10))
+const webhookCircuitResetMs = Math.max(1000, parseInt(process.env.WEBHOOK_CIRCUIT_RESET_MS || '30000', 10))
+// Armazenamento de mídia do evento `media`: 'inline' (base64 no payload, legado), 'local' ou 's3' (compatível: AWS, MinIO...)
+const rawMediaStore = (process.env.MEDIA_STORE || 'inline').toLowerCase()
+const mediaStore = ['local', 's3'].includes(rawMediaStore) ? rawMediaStore : 'inline'
+const mediaStorePath = process.env.MEDIA_STORE_PATH || path.join(sessionFolderPath, '.media-store')
+// URL pública desta API (incluindo BASE_PATH) usada para montar os links assinados de download
+const mediaPublicUrl = (process.env.MEDIA_PUBLIC_URL || `http://localhost:${servicePort}${basePath}`).replace(/\/+$/, '')
+const mediaUrlSecret = process.env.MEDIA_URL_SECRET || null
+const mediaUrlTtlSec = Math.max(60, parseInt(process.env.MEDIA_URL_TTL_SEC || '86400', 10))
+const s3Endpoint = process.env.S3_ENDPOINT || null
+const s3Region = process.env.S3_REGION || 'us-east-1'
+const s3Bucket = process.env.S3_BUCKET || null
+const s3AccessKeyId = process.env.S3_ACCESS_KEY_ID || null
+const s3SecretAccessKey = process.env.S3_SECRET_ACCESS_KEY || null
+const s3ForcePathStyle = (process.env.S3_FORCE_PATH_STYLE || 'true').toLowerCase() === 'true'
+const s3KeyPrefix = (process.env.S3_KEY_PREFIX || 'media/').replace(/^\/+/, '')
+// Buffer de replay de eventos por sessão (lastEventId no WebSocket e /session/getEvents); opcionalmente em disco
+const eventBufferSize = Math.max(1, parseInt(process.env.EVENT_BUFFER_SIZE || '500', 10))
+const eventBufferPersist = (process.env.EVENT_BUFFER_PERSIST || '').toLowerCase() === 'true'
+const sseHeartbeatIntervalMs = Math.max(1000, parseInt(process.env.SSE_HEARTBEAT_INTERVAL_MS || '15000', 10))
+// WebSocket: ping/pong para derrubar conexões mortas e limite de bytes pendentes por conexão (cliente lento)
+const wsHeartbeatIntervalMs = Math.max(1000, parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS || '30000', 10))
+const wsMaxBufferedBytes = Math.max(65536, parseInt(process.env.WS_MAX_BUFFERED_BYTES || '8388608', 10))
+const rawWsBackpressurePolicy = (process.env.WS_BACKPRESSURE_POLICY || 'drop').toLowerCase()
+const wsBackpressurePolicy = ['drop', 'disconnect', 'skip_media'].includes(rawWsBackpressurePolicy) ? rawWsBackpressurePolicy : 'drop'
+// SSE: mesmo limite e mesmas políticas do WebSocket, por padrão os valores dele
+const sseMaxBufferedBytes = Math.max(65536, parseInt(process.env.SSE_MAX_BUFFERED_BYTES || String(wsMaxBufferedBytes), 10))
+const rawSseBackpressurePolicy = (process.env.SSE_BACKPRESSURE_POLICY || wsBackpressurePolicy).toLowerCase()
+const sseBackpressurePolicy = ['drop', 'disconnect', 'skip_media'].includes(rawSseBackpressurePolicy) ? rawSseBackpressurePolicy : 'drop'
+// Log de auditoria das chamadas que alteram estado: JSONL rotacionado por tamanho, mantendo até AUDIT_LOG_MAX_FILES arquivos
+const auditLogEnabled = (process.env.AUDIT_LOG_ENABLED || 'true').toLowerCase() === 'true'
+const auditLogPath = process.env.AUDIT_LOG_PATH || path.join(sessionFolderPath, '.audit-log')
+const auditLogMaxFileSize = Math.max(65536, parseInt(process.env.AUDIT_LOG_MAX_FILE_SIZE || '10485760', 10))
+const auditLogMaxFiles = Math.max(2, parseInt(process.env.AUDIT_LOG_MAX_FILES || '10', 10))
+// runMethod: pode ser desligado; métodos liberados/bloqueados por tipo de objeto (lista separada por vírgula, * para todos).
+// Sem RUN_METHOD_ALLOW_* (null) vale a lista de métodos de leitura do runMethod.js
+const runMethodEnabled = (process.env.RUN_METHOD_ENABLED || 'true').toLowerCase() === 'true'
+const methodList = (value) => (value || '').split(',').map(name => name.trim()).filter(Boolean)
+const optionalMethodList = (value) => value ? methodList(value) : null
+const runMethodAllow = {
+  client: optionalMethodList(process.env.RUN_METHOD_ALLOW_CLIENT),
+  chat: optionalMethodList(process.env.RUN_METHOD_ALLOW_CHAT),
+  groupChat: optionalMethodList(process.env.RUN_METHOD_ALLOW_GROUP_CHAT),
+  message: optionalMethodList(process.env.RUN_METHOD_ALLOW_MESSAGE)
+}
+const runMethodDeny = {
+  client: methodList(process.env.RUN_METHOD_DENY_CLIENT),
+  chat: methodList(process.env.RUN_METHOD_DENY_CHAT),
+  groupChat: methodList(process.env.RUN_METHOD_DENY_GROUP_CHAT),
+  message: methodList(process.env.RUN_METHOD_DENY_MESSAGE)
+}
 
 module.exports = {
   servicePort,
@@ -47,6 +152,14 @@ module.exports = {
   resolvedSessionsPath,
   enableLocalCallbackExample,
   globalApiKey,
+  jwtSecret,
+  jwtJwksPath,
+  jwtIssuer,
+  jwtAudience,
+  jwtSessionsClaim,
+  jwtScopesClaim,
+  jwtClockToleranceSec,
+  ipAllowlist,
   baseWebhookURL,
   maxAttachmentSize,
   setMessagesAsSeen,
@@ -56,6 +169,15 @@ module.exports = {
   webVersionCacheType,
   rateLimitMax,
   rateLimitWindowMs,
+  apiRateLimitWindowMs,
+  apiRateLimitPerKey,
+  apiRateLimitPerSession,
+  sendSessionMaxPerMinute,
+  sendSessionMinIntervalMs,
+  sendSessionMaxPerDay,
+  sendChatMaxPerMinute,
+  sendChatMinIntervalMs,
+  sendChatMaxPerDay,
   recoverSessions,
   chromeBin,
   headless,
@@ -69,7 +191,57 @@ module.exports = {
   clientInitializeMaxRetries,
   clientInitializeRetryBaseMs,
   puppeteerProtocolTimeoutMs,
+  sessionRestoreConcurrency,
+  sessionRestoreStaggerMs,
+  watchdogEnabled,
+  watchdogIntervalMs,
+  watchdogProbeTimeoutMs,
+  watchdogMaxEventAgeMs,
+  watchdogFailureThreshold,
+  watchdogRemediation,
   wipeSessionDataAfterInitFailure,
   wwebjsBrowserMarker,
-  cleanupOrphanBrowsersOnStartup
+  cleanupOrphanBrowsersOnStartup,
+  webhookMaxAttempts,
+  webhookRetryBaseMs,
+  webhookRetryMaxMs,
+  webhookQueueMaxSize,
+  webhookDeadLetterMaxPerSession,
+  webhookAllowPrivateTargets,
+  webhookSecret,
+  webhookSecretPrevious,
+  webhookSignatureToleranceSec,
+  webhookDeliveryLogSize,
+  webhookTimeoutMs,
+  webhookMaxConcurrencyPerTarget,
+  webhookCircuitFailureThreshold,
+  webhookCircuitResetMs,
+  webhookPayloadFormat,
+  mediaStore,
+  mediaStorePath,
+  mediaPublicUrl,
+  mediaUrlSecret,
+  mediaUrlTtlSec,
+  s3Endpoint,
+  s3Region,
+  s3Bucket,
+  s3AccessKeyId,
+  s3SecretAccessKey,
+  s3ForcePathStyle,
+  s3KeyPrefix,
+  eventBufferSize,
+  eventBufferPersist,
+  sseHeartbeatIntervalMs,
+  sseMaxBufferedBytes,
+  sseBackpressurePolicy,
+  wsHeartbeatIntervalMs,
+  wsMaxBufferedBytes,
+  wsBackpressurePolicy,
+  auditLogEnabled,
+  auditLogPath,
+  auditLogMaxFileSize,
+  auditLogMaxFiles,
+  runMethodEnabled,
+  runMethodAllow,
+  runMethodDeny
 }
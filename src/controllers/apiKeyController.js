@@ -0,0 +1,189 @@
+const apiKeys = require('../apiKeys')
+const { revalidateConnections } = require('../websocket')
+const { sendErrorResponse } = require('../utils')
+const { logger } = require('../logger')
+
+const KEY_ID_PATTERN = /^[\w-]+$/
+
+/**
+ * Lists the API keys (without their values), including revoked ones.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>}
+ */
+const getApiKeys = async (req, res) => {
+  /*
+    #swagger.summary = 'List API keys'
+    #swagger.description = 'Lists the API keys with their sessions, scopes and status. Key values are never returned after creation. Requires the global API key.'
+  */
+  try {
+    res.json({ success: true, result: apiKeys.listApiKeys() })
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to list API keys')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+/**
+ * Creates an API key bound to sessions and scopes. The key value is only returned in this response.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} [req.body.name] - A label for the key.
+ * @param {string[]} req.body.sessions - Session ids the key can access ("*" for all).
+ * @param {string[]} req.body.scopes - Granted scopes ("*" for all).
+ * @param {string[]} [req.body.allowedIps] - IPs or CIDR ranges the key can be used from.
+ * @returns {Promise<void>}
+ */
+const createApiKey = async (req, res) => {
+  /*
+    #swagger.summary = 'Create an API key'
+    #swagger.description = 'Creates an API key bound to sessions and scopes. The key value is only returned in this response; it is stored hashed. Requires the global API key.'
+    #swagger.requestBody = {
+      required: true,
+      schema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'A label for the key', example: 'tenant-a panel' },
+          sessions: { type: 'array', items: { type: 'string' }, description: 'Session ids the key can access (* for all)', example: ['tenant-a'] },
+          scopes: { type: 'array', items: { type: 'string', enum: ['*', 'session:admin', 'session:read', 'messages:send', 'messages:read', 'chats:manage', 'groups:manage', 'channels:manage', 'webhooks:manage', 'audit:read', 'methods:run'] }, description: 'Granted scopes (* for all)', example: ['messages:send', 'messages:read'] },
+          allowedIps: { type: 'array', items: { type: 'string' }, description: 'IPs or CIDR ranges the key can be used from (empty for any)', example: ['203.0.113.0/24'] }
+        }
+      }
+    }
+  */
+  try {
+    const { key, apiKey, error } = await apiKeys.createApiKey(req.body)
+    if (error) {
+      return sendErrorResponse(res, 400, error)
+    }
+    res.json({ success: true, result: { ...apiKey, key } })
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to create API key')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+/**
+ * Changes the name, sessions, scopes and/or allowed IPs of an API key. Omitted fields are kept.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.keyId - The API key ID.
+ * @returns {Promise<void>}
+ */
+const updateApiKey = async (req, res) => {
+  /*
+    #swagger.summary = 'Update an API key'
+    #swagger.description = 'Changes the name, sessions, scopes and/or allowed IPs of an API key. Omitted fields are kept and the key value does not change. Requires the global API key.'
+    #swagger.requestBody = {
+      required: true,
+      schema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'A label for the key' },
+          sessions: { type: 'array', items: { type: 'string' }, description: 'Session ids the key can access (* for all)' },
+          scopes: { type: 'array', items: { type: 'string' }, description: 'Granted scopes (* for all)' },
+          allowedIps: { type: 'array', items: { type: 'string' }, description: 'IPs or CIDR ranges the key can be used from (empty for any)', example: ['203.0.113.0/24', '2001:db8::/32'] }
+        }
+      }
+    }
+  */
+  const { keyId } = req.params
+  try {
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      return sendErrorResponse(res, 404, 'API key not found')
+    }
+    const updated = await apiKeys.updateApiKey(keyId, req.body)
+    if (!updated) {
+      return sendErrorResponse(res, 404, 'API key not found or revoked')
+    }
+    if (updated.error) {
+      return sendErrorResponse(res, 400, updated.error)
+    }
+    revalidateConnections(keyId)
+    res.json({ success: true, result: updated.apiKey })
+  } catch (error) {
+    logger.error({ apiKeyId: keyId, err: error }, 'Failed to update API key')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+/**
+ * Revokes an API key. It stops working immediately.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.keyId - The API key ID.
+ * @returns {Promise<void>}
+ */
+const revokeApiKey = async (req, res) => {
+  /*
+    #swagger.summary = 'Revoke an API key'
+    #swagger.description = 'Revokes an API key. It stops working immediately, open WebSocket connections using it are closed, and it stays listed as revoked. Requires the global API key.'
+  */
+  const { keyId } = req.params
+  try {
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      return sendErrorResponse(res, 404, 'API key not found')
+    }
+    const apiKey = await apiKeys.revokeApiKey(keyId)
+    if (!apiKey) {
+      return sendErrorResponse(res, 404, 'API key not found')
+    }
+    revalidateConnections(keyId)
+    res.json({ success: true, result: apiKey })
+  } catch (error) {
+    logger.error({ apiKeyId: keyId, err: error }, 'Failed to revoke API key')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+/**
+ * Replaces the value of an API key, keeping its sessions and scopes. The previous value stops working immediately.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.keyId - The API key ID.
+ * @returns {Promise<void>}
+ */
+const rotateApiKey = async (req, res) => {
+  /*
+    #swagger.summary = 'Rotate an API key'
+    #swagger.description = 'Generates a new value for the API key, keeping its id, sessions and scopes. The previous value stops working immediately and open WebSocket connections using it are closed. Requires the global API key.'
+  */
+  const { keyId } = req.params
+  try {
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      return sendErrorResponse(res, 404, 'API key not found')
+    }
+    const rotated = await apiKeys.rotateApiKey(keyId)
+    if (!rotated) {
+      return sendErrorResponse(res, 404, 'API key not found or revoked')
+    }
+    revalidateConnections(keyId)
+    res.json({ success: true, result: { ...rotated.apiKey, key: rotated.key } })
+  } catch (error) {
+    logger.error({ apiKeyId: keyId, err: error }, 'Failed to rotate API key')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+  rotateApiKey
+}
@@ -0,0 +1,72 @@
+const { queryAuditLog } = require('../auditLog')
+const { sendErrorResponse } = require('../utils')
+const { logger } = require('../logger')
+
+const OUTCOMES = ['success', 'denied', 'failure', 'aborted']
+
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined
+  }
+  const numeric = Number(value)
+  if (Number.isFinite(numeric)) {
+    return numeric
+  }
+  return Date.parse(value)
+}
+
+/**
+ * Queries the audit log of state-changing API calls, newest first.
+ * Without a session in the path, entries of all sessions (and of API key management) are returned.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} [req.params.sessionId] - Only entries of this session.
+ * @param {string} [req.query.from] - Entries at or after (ms or ISO date).
+ * @param {string} [req.query.to] - Entries at or before (ms or ISO date).
+ * @param {string} [req.query.keyId] - Only calls made with this API key id.
+ * @param {string} [req.query.outcome] - success, denied, failure or aborted.
+ * @param {string} [req.query.limit] - Page size (default 100, max 1000).
+ * @returns {Promise<void>}
+ */
+const getEntries = async (req, res) => {
+  /*
+    #swagger.summary = 'Query the audit log'
+    #swagger.description = 'State-changing API calls (caller key id, client IP, route, session, target chat/contact and outcome), newest first. Without a session id, entries of all sessions are returned and the key must be bound to all sessions.'
+    #swagger.parameters['from'] = { in: 'query', type: 'string', description: 'Entries at or after (ms or ISO date)' }
+    #swagger.parameters['to'] = { in: 'query', type: 'string', description: 'Entries at or before (ms or ISO date)' }
+    #swagger.parameters['keyId'] = { in: 'query', type: 'string', description: 'Filter by caller API key id (master for the global key)' }
+    #swagger.parameters['outcome'] = { in: 'query', type: 'string', enum: ['success', 'denied', 'failure', 'aborted'], description: 'Filter by outcome' }
+    #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Page size (default 100, max 1000)' }
+  */
+  const { sessionId } = req.params
+  try {
+    const from = parseTimestamp(req.query.from)
+    const to = parseTimestamp(req.query.to)
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return sendErrorResponse(res, 400, 'from and to must be a timestamp in ms or an ISO date')
+    }
+    const { keyId, outcome } = req.query
+    if (outcome !== undefined && !OUTCOMES.includes(outcome)) {
+      return sendErrorResponse(res, 400, `outcome must be one of: ${OUTCOMES.join(', ')}`)
+    }
+    const result = await queryAuditLog({
+      sessionId,
+      keyId: keyId || undefined,
+      outcome,
+      from,
+      to,
+      limit: Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100))
+    })
+    res.json({ success: true, result })
+  } catch (error) {
+    logger.error({ sessionId, err: error }, 'Failed to query audit log')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+module.exports = {
+  getEntries
+}
@@ -1,5 +1,6 @@
 const { MessageMedia } = require('whatsapp-web.js')
 const { sessions } = require('../sessions')
+const { throttleSend } = require('../sendThrottle')
 const { sendErrorResponse } = require('../utils')
 
 /**
@@ -117,24 +118,27 @@ const sendMessage = async (req, res) => {
       sendErrorResponse(res, 400, 'The chat is not a channel')
       return
     }
-    let messageOut
+    let contentMessage
     switch (contentType) {
       case 'string':
-        messageOut = await chat.sendMessage(content, sendOptions)
+        contentMessage = content
         break
       case 'MessageMediaFromURL': {
-        const messageMediaFromURL = await MessageMedia.fromUrl(content, { unsafeMime: true, ...mediaFromURLOptions })
-        messageOut = await chat.sendMessage(messageMediaFromURL, sendOptions)
+        contentMessage = await MessageMedia.fromUrl(content, { unsafeMime: true, ...mediaFromURLOptions })
         break
       }
       case 'MessageMedia': {
-        const messageMedia = new MessageMedia(content.mimetype, content.data, content.filename, content.filesize)
-        messageOut = await chat.sendMessage(messageMedia, sendOptions)
+        contentMessage = new MessageMedia(content.mimetype, content.data, content.filename, content.filesize)
         break
       }
       default:
         return sendErrorResponse(res, 400, 'invalid contentType')
     }
+    const throttled = throttleSend(res, req.params.sessionId, chatId)
+    if (throttled) {
+      return sendErrorResponse(res, 429, throttled)
+    }
+    const messageOut = await chat.sendMessage(contentMessage, sendOptions)
     res.json({ success: true, message: messageOut })
   } catch (error) {
     sendErrorResponse(res, 500, error.message)
@@ -1,4 +1,5 @@
 const { sessions } = require('../sessions')
+const { checkRunMethod, runMethodOn } = require('../runMethod')
 const { sendErrorResponse } = require('../utils')
 
 /**
@@ -463,7 +464,7 @@ const changeLabels = async (req, res) => {
 const runMethod = async (req, res) => {
   /*
     #swagger.summary = 'Execute a method on the chat'
-    #swagger.description = 'Execute a method on the chat and return the result'
+    #swagger.description = 'Execute a method on the chat and return the result. Requires the methods:run scope. Only read-only methods are callable by default; RUN_METHOD_ALLOW_CHAT replaces that list and RUN_METHOD_DENY_CHAT removes methods from it; RUN_METHOD_ENABLED=false disables the endpoint.'
     #swagger.requestBody = {
       required: true,
       schema: {
@@ -491,6 +492,10 @@ const runMethod = async (req, res) => {
     }
   */
   try {
+    const denied = checkRunMethod('chat', req.body)
+    if (denied) {
+      return sendErrorResponse(res, denied.status, denied.error)
+    }
     const { chatId, method, options } = req.body
     const client = sessions.get(req.params.sessionId)
     const chat = await client.getChatById(chatId)
@@ -498,10 +503,7 @@ const runMethod = async (req, res) => {
       sendErrorResponse(res, 404, 'Chat not Found')
       return
     }
-    if (typeof chat[method] !== 'function') {
-      throw new Error('Method is not implemented')
-    }
-    const result = options ? await chat[method](options) : await chat[method]()
+    const result = await runMethodOn(chat, method, options)
     res.json({ success: true, data: result })
   } catch (error) {
     sendErrorResponse(res, 500, error.message)
@@ -1,5 +1,7 @@
 const { MessageMedia, Location, Poll } = require('whatsapp-web.js')
 const { sessions } = require('../sessions')
+const { throttleSend } = require('../sendThrottle')
+const { checkRunMethod, runMethodOn } = require('../runMethod')
 const { sendErrorResponse } = require('../utils')
 
 /**
@@ -68,7 +70,7 @@ const sendMessage = async (req, res) => {
     const client = sessions.get(req.params.sessionId)
     const sendOptions = { waitUntilMsgSent: true, ...options }
 
-    let messageOut
+    let contentMessage
     switch (contentType) {
       case 'string':
         if (sendOptions?.media) {
@@ -78,37 +80,38 @@ const sendMessage = async (req, res) => {
           }
           sendOptions.media = new MessageMedia(mimetype, data, filename, filesize)
         }
-        messageOut = await client.sendMessage(chatId, content, sendOptions)
+        contentMessage = content
         break
       case 'MessageMediaFromURL': {
-        const messageMediaFromURL = await MessageMedia.fromUrl(content, { unsafeMime: true, ...mediaFromURLOptions })
-        messageOut = await client.sendMessage(chatId, messageMediaFromURL, sendOptions)
+        contentMessage = await MessageMedia.fromUrl(content, { unsafeMime: true, ...mediaFromURLOptions })
         break
       }
       case 'MessageMedia': {
-        const messageMedia = new MessageMedia(content.mimetype, content.data, content.filename, content.filesize)
-        messageOut = await client.sendMessage(chatId, messageMedia, sendOptions)
+        contentMessage = new MessageMedia(content.mimetype, content.data, content.filename, content.filesize)
         break
       }
       case 'Location': {
-        const location = new Location(content.latitude, content.longitude, content.description)
-        messageOut = await client.sendMessage(chatId, location, sendOptions)
+        contentMessage = new Location(content.latitude, content.longitude, content.description)
         break
       }
       case 'Contact': {
         const contactId = content.contactId.endsWith('@c.us') ? content.contactId : `${content.contactId}@c.us`
-        const contact = await client.getContactById(contactId)
-        messageOut = await client.sendMessage(chatId, contact, sendOptions)
+        contentMessage = await client.getContactById(contactId)
         break
       }
       case 'Poll': {
-        const poll = new Poll(content.pollName, content.pollOptions, content.options)
-        messageOut = await client.sendMessage(chatId, poll, sendOptions)
+        contentMessage = new Poll(content.pollName, content.pollOptions, content.options)
         break
       }
       default:
         return sendErrorResponse(res, 400, 'invalid contentType')
     }
+    // cota reservada só depois da validação: requisições inválidas não consomem envios
+    const throttled = throttleSend(res, req.params.sessionId, chatId)
+    if (throttled) {
+      return sendErrorResponse(res, 429, throttled)
+    }
+    const messageOut = await client.sendMessage(chatId, contentMessage, sendOptions)
     res.json({ success: true, message: messageOut })
   } catch (error) {
     const errBody = req.body
@@ -2205,7 +2208,7 @@ const getChannelByInviteCode = async (req, res) => {
 const runMethod = async (req, res) => {
   /*
     #swagger.summary = 'Execute a method on the client'
-    #swagger.description = 'Execute a method on the client and return the result'
+    #swagger.description = 'Execute a method on the client and return the result. Requires the methods:run scope. Only read-only methods are callable by default; RUN_METHOD_ALLOW_CLIENT replaces that list and RUN_METHOD_DENY_CLIENT removes methods from it; RUN_METHOD_ENABLED=false disables the endpoint.'
     #swagger.requestBody = {
       required: true,
       schema: {
@@ -2228,12 +2231,13 @@ const runMethod = async (req, res) => {
     }
   */
   try {
+    const denied = checkRunMethod('client', req.body)
+    if (denied) {
+      return sendErrorResponse(res, denied.status, denied.error)
+    }
     const { method, options } = req.body
     const client = sessions.get(req.params.sessionId)
-    if (typeof client[method] !== 'function') {
-      throw new Error('Method is not implemented')
-    }
-    const result = options ? await client[method](options) : await client[method]()
+    const result = await runMethodOn(client, method, options)
     res.json({ success: true, data: result })
   } catch (error) {
     sendErrorResponse(res, 500, error.message)
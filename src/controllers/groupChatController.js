@@ -1,5 +1,6 @@
 const { MessageMedia } = require('whatsapp-web.js')
 const { sessions } = require('../sessions')
+const { checkRunMethod, runMethodOn } = require('../runMethod')
 const { sendErrorResponse } = require('../utils')
 
 /**
@@ -695,7 +696,7 @@ const rejectGroupMembershipRequests = async (req, res) => {
 const runMethod = async (req, res) => {
   /*
     #swagger.summary = 'Execute a method on the group'
-    #swagger.description = 'Execute a method on the group and return the result'
+    #swagger.description = 'Execute a method on the group and return the result. Requires the methods:run scope. Only read-only methods are callable by default; RUN_METHOD_ALLOW_GROUP_CHAT replaces that list and RUN_METHOD_DENY_GROUP_CHAT removes methods from it; RUN_METHOD_ENABLED=false disables the endpoint.'
     #swagger.requestBody = {
       required: true,
       schema: {
@@ -723,14 +724,15 @@ const runMethod = async (req, res) => {
     }
   */
   try {
+    const denied = checkRunMethod('groupChat', req.body)
+    if (denied) {
+      return sendErrorResponse(res, denied.status, denied.error)
+    }
     const { chatId, method, options } = req.body
     const client = sessions.get(req.params.sessionId)
     const chat = await client.getChatById(chatId)
     if (!chat.isGroup) { throw new Error('The chat is not a group') }
-    if (typeof chat[method] !== 'function') {
-      throw new Error('Method is not implemented')
-    }
-    const result = options ? await chat[method](options) : await chat[method]()
+    const result = await runMethodOn(chat, method, options)
     res.json({ success: true, data: result })
   } catch (error) {
     sendErrorResponse(res, 500, error.message)
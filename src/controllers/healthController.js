@@ -3,6 +3,7 @@ const qrcode = require('qrcode-terminal')
 const { sessionFolderPath } = require('../config')
 const { sendErrorResponse } = require('../utils')
 const { logger } = require('../logger')
+const { getWebSocketStats: collectWebSocketStats } = require('../websocket')
 
 /**
  * Responds to request with 'pong'
@@ -83,4 +84,27 @@ const localCallbackExample = async (req, res) => {
   }
 }
 
-module.exports = { ping, localCallbackExample }
+/**
+ * Returns WebSocket connection counts, heartbeat/backpressure settings and dropped frame metrics
+ *
+ * @function getWebSocketStats
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} - Promise that resolves once response is sent
+ */
+const getWebSocketStats = async (req, res) => {
+  /*
+    #swagger.tags = ['Various']
+    #swagger.summary = 'WebSocket statistics'
+    #swagger.description = 'Open connections per endpoint, heartbeat and backpressure settings, and counters of frames dropped, media omitted and connections terminated since startup.'
+  */
+  try {
+    res.json({ success: true, result: collectWebSocketStats() })
+  } catch (error) {
+    logger.error(error, 'Failed to get WebSocket stats')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+module.exports = { ping, localCallbackExample, getWebSocketStats }
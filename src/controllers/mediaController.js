@@ -0,0 +1,65 @@
+const { pipeline } = require('stream')
+const mediaStore = require('../mediaStore')
+const { sendErrorResponse } = require('../utils')
+const { logger } = require('../logger')
+
+// O mimetype vem de quem enviou a mensagem: só tipos que o navegador não executa são exibidos inline,
+// o resto (text/html, image/svg+xml...) é baixado como anexo para não virar XSS na origem da API
+const INLINE_CONTENT_TYPE = /^(image\/(jpeg|png|gif|webp)|audio\/[\w.+-]+|video\/[\w.+-]+)$/i
+
+/**
+ * Streams a media file from the configured media store. The request is authorized by the
+ * signature and expiry in the query string (URL sent in the `media` callback), not by the API key.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.hash - SHA-256 of the media content.
+ * @param {string} req.query.expires - Unix timestamp (seconds) when the URL expires.
+ * @param {string} req.query.signature - URL signature.
+ * @returns {Promise<void>}
+ */
+const downloadStoredMedia = async (req, res) => {
+  /*
+    #swagger.tags = ['Media']
+    #swagger.summary = 'Download media'
+    #swagger.description = 'Downloads a media file referenced by the media callback when MEDIA_STORE is local or s3. Authorized by the signed, expiring URL; no API key required.'
+  */
+  const { hash } = req.params
+  try {
+    const { valid, reason } = mediaStore.verifyMediaUrl(hash, req.query.expires, req.query.signature)
+    if (!valid) {
+      if (reason === 'media_store_disabled') {
+        return sendErrorResponse(res, 404, 'Media not found')
+      }
+      return sendErrorResponse(res, 403, reason === 'expired' ? 'Media URL expired' : 'Invalid media URL signature')
+    }
+    const media = await mediaStore.getMedia(hash)
+    if (!media) {
+      return sendErrorResponse(res, 404, 'Media not found')
+    }
+    const contentType = media.contentType || 'application/octet-stream'
+    res.set('content-type', contentType)
+    res.set('x-content-type-options', 'nosniff')
+    res.set('content-disposition', INLINE_CONTENT_TYPE.test(contentType.split(';')[0].trim()) ? 'inline' : 'attachment')
+    if (Number.isFinite(media.size)) {
+      res.set('content-length', String(media.size))
+    }
+    // conteúdo endereçado por hash nunca muda; o cache só não pode passar da validade da URL
+    const maxAge = Math.max(0, Number(req.query.expires) - Math.floor(Date.now() / 1000))
+    res.set('cache-control', `private, max-age=${maxAge}, immutable`)
+    pipeline(media.stream, res, (err) => {
+      if (err) {
+        logger.error({ hash, err }, 'Failed to stream media')
+      }
+    })
+  } catch (error) {
+    logger.error({ hash, err: error }, 'Failed to download media')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+module.exports = {
+  downloadStoredMedia
+}
@@ -1,6 +1,8 @@
 const { MessageMedia, Location, Poll } = require('whatsapp-web.js')
 const { Readable } = require('stream')
 const { sessions } = require('../sessions')
+const { throttleSend } = require('../sendThrottle')
+const { checkRunMethod, runMethodOn } = require('../runMethod')
 const { sendErrorResponse, decodeBase64 } = require('../utils')
 
 /**
@@ -223,6 +225,10 @@ const forward = async (req, res) => {
     const client = sessions.get(req.params.sessionId)
     const message = await _getMessageById(client, messageId, chatId)
     if (!message) { throw new Error('Message not found') }
+    const throttled = throttleSend(res, req.params.sessionId, destinationChatId)
+    if (throttled) {
+      return sendErrorResponse(res, 429, throttled)
+    }
     const result = await message.forward(destinationChatId)
     res.json({ success: true, result })
   } catch (error) {
@@ -535,6 +541,10 @@ const reply = async (req, res) => {
       default:
         return sendErrorResponse(res, 400, 'contentType invalid, must be string, MessageMedia, MessageMediaFromURL, Location, Contact or Poll')
     }
+    const throttled = throttleSend(res, req.params.sessionId, chatId)
+    if (throttled) {
+      return sendErrorResponse(res, 429, throttled)
+    }
     const repliedMessage = await message.reply(contentMessage, chatId, options)
     res.json({ success: true, repliedMessage })
   } catch (error) {
@@ -781,7 +791,7 @@ const getPollVotes = async (req, res) => {
 const runMethod = async (req, res) => {
   /*
     #swagger.summary = 'Execute a method on the message'
-    #swagger.description = 'Execute a method on the message and return the result'
+    #swagger.description = 'Execute a method on the message and return the result. Requires the methods:run scope. Only read-only methods are callable by default; RUN_METHOD_ALLOW_MESSAGE replaces that list and RUN_METHOD_DENY_MESSAGE removes methods from it; RUN_METHOD_ENABLED=false disables the endpoint.'
     #swagger.requestBody = {
       required: true,
       schema: {
@@ -814,14 +824,15 @@ const runMethod = async (req, res) => {
     }
   */
   try {
+    const denied = checkRunMethod('message', req.body)
+    if (denied) {
+      return sendErrorResponse(res, denied.status, denied.error)
+    }
     const { messageId, chatId, method, options } = req.body
     const client = sessions.get(req.params.sessionId)
     const message = await _getMessageById(client, messageId, chatId)
     if (!message) { throw new Error('Message not found') }
-    if (typeof message[method] !== 'function') {
-      throw new Error('Method is not implemented')
-    }
-    const result = options ? await message[method](options) : await message[method]()
+    const result = await runMethodOn(message, method, options)
     res.json({ success: true, data: result })
   } catch (error) {
     sendErrorResponse(res, 500, error.message)
@@ -0,0 +1,481 @@
+const webhookOutbox = require('../webhookOutbox')
+const webhookSubscriptions = require('../webhookSubscriptions')
+const webhookDeliveryLog = require('../webhookDeliveryLog')
+const webhookTargets = require('../webhookTargets')
+const { sendErrorResponse } = require('../utils')
+const { logger } = require('../logger')
+
+const DELIVERY_ID_PATTERN = /^[\w-]+$/
+const SUBSCRIPTION_ID_PATTERN = /^[\w-]+$/
+
+// Aceita timestamp em ms ou data ISO; undefined quando ausente, NaN quando inválido
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined
+  }
+  const numeric = Number(value)
+  if (Number.isFinite(numeric)) {
+    return numeric
+  }
+  return Date.parse(value)
+}
+
+const parseSelection = (source) => {
+  const { ids, dataType } = source || {}
+  const from = parseTimestamp(source?.from)
+  const to = parseTimestamp(source?.to)
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: 'from and to must be a timestamp in ms or an ISO date' }
+  }
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => typeof id === 'string' && DELIVERY_ID_PATTERN.test(id)))) {
+    return { error: 'ids must be an array of delivery ids' }
+  }
+  return { selection: { ids, dataType: dataType || undefined, from, to } }
+}
+
+const toSummary = (record) => {
+  const lastError = record.errors && record.errors.length > 0 ? record.errors[record.errors.length - 1] : null
+  return {
+    id: record.id,
+    dataType: record.dataType,
+    webhookURL: record.webhookURL,
+    createdAt: record.createdAt,
+    deadAt: record.deadAt,
+    attempts: record.attempts,
+    replayCount: record.replayCount || 0,
+    lastError
+  }
+}
+
+/**
+ * Lists failed webhook deliveries (dead-letter) for the given session.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.sessionId - The session ID.
+ * @param {string} [req.query.dataType] - Only deliveries of this event type.
+ * @param {string} [req.query.from] - Only events created at or after this time (ms or ISO date).
+ * @param {string} [req.query.to] - Only events created at or before this time (ms or ISO date).
+ * @param {number} [req.query.limit] - Maximum number of items to return (default 100).
+ * @param {number} [req.query.offset] - Number of items to skip.
+ * @returns {Promise<void>}
+ */
+const getDeadLetters = async (req, res) => {
+  /*
+    #swagger.summary = 'List failed webhook deliveries'
+    #swagger.description = 'Lists webhook deliveries that exhausted all retries, oldest first.'
+    #swagger.parameters['dataType'] = { in: 'query', type: 'string', description: 'Filter by event type', example: 'message' }
+    #swagger.parameters['from'] = { in: 'query', type: 'string', description: 'Event created at or after (ms or ISO date)' }
+    #swagger.parameters['to'] = { in: 'query', type: 'string', description: 'Event created at or before (ms or ISO date)' }
+    #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Page size (default 100)' }
+    #swagger.parameters['offset'] = { in: 'query', type: 'integer', description: 'Items to skip' }
+  */
+  const sessionId = req.params.sessionId
+  try {
+    const { selection, error } = parseSelection(req.query)
+    if (error) {
+      return sendErrorResponse(res, 400, error)
+    }
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100))
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0)
+    const records = await webhookOutbox.listDeadLetters(sessionId, selection)
+    res.json({ success: true, total: records.length, result: records.slice(offset, offset + limit).map(toSummary) })
+  } catch (error) {
+    logger.error({ sessionId, err: error }, 'Failed to list webhook dead letters')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+/**
+ * Gets a single failed webhook delivery with its payload and error history.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.sessionId - The session ID.
+ * @param {string} req.params.deliveryId - The delivery ID.
+ * @returns {Promise<void>}
+ */
+const getDeadLetter = async (req, res) => {
+  /*
+    #swagger.summary = 'Get a failed webhook delivery'
+    #swagger.description = 'Returns the payload and error history of a failed webhook delivery.'
+  */
+  const { sessionId, deliveryId } = req.params
+  try {
+    if (!DELIVERY_ID_PATTERN.test(deliveryId)) {
+      return sendErrorResponse(res, 422, 'Invalid delivery id')
+    }
+    const record = await webhookOutbox.getDeadLetter(sessionId, deliveryId)
+    if (!record) {
+      return sendErrorResponse(res, 404, 'Delivery not found')
+    }
+    res.json({ success: true, result: record })
+  } catch (error) {
+    logger.error({ sessionId, deliveryId, err: error }, 'Failed to get webhook dead letter')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+/**
+ * Re-enqueues failed webhook deliveries. Without ids or filters, all of them are replayed.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.sessionId - The session ID.
+ * @param {string[]} [req.body.ids] - Delivery ids to replay.
+ * @param {string} [req.body.dataType] - Only deliveries of this event type.
+ * @param {string|number} [req.body.from] - Only events created at or after this time.
+ * @param {string|number} [req.body.to] - Only events created at or before this time.
+ * @returns {Promise<void>}
+ */
+const replayDeadLetters = async (req, res) => {
+  /*
+    #swagger.summary = 'Replay failed webhook deliveries'
+    #swagger.description = 'Moves the selected deliveries back to the outbox with a fresh attempt counter. Without ids or filters, all failed deliveries of the session are replayed.'
+    #swagger.requestBody = {
+      required: false,
+      schema: {
+        type: 'object',
+        properties: {
+          ids: { type: 'array', items: { type: 'string' }, description: 'Delivery ids' },
+          dataType: { type: 'string', description: 'Event type', example: 'message' },
+          from: { type: 'string', description: 'Event created at or after (ms or ISO date)' },
+          to: { type: 'string', description: 'Event created at or before (ms or ISO date)' }
+        }
+      }
+    }
+  */
+  const sessionId = req.params.sessionId
+  try {
+    const { selection, error } = parseSelection(req.body)
+    if (error) {
+      return sendErrorResponse(res, 400, error)
+    }
+    const result = await webhookOutbox.replayDeadLetters(sessionId, selection)
+    res.json({ success: true, result })
+  } catch (error) {
+    logger.error({ sessionId, err: error }, 'Failed to replay webhook dead letters')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+/**
+ * Permanently removes failed webhook deliveries. Without ids or filters, all of them are removed.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.sessionId - The session ID.
+ * @param {string[]} [req.body.ids] - Delivery ids to remove.
+ * @param {string} [req.body.dataType] - Only deliveries of this event type.
+ * @param {string|number} [req.body.from] - Only events created at or after this time.
+ * @param {string|number} [req.body.to] - Only events created at or before this time.
+ * @returns {Promise<void>}
+ */
+const purgeDeadLetters = async (req, res) => {
+  /*
+    #swagger.summary = 'Purge failed webhook deliveries'
+    #swagger.description = 'Permanently removes the selected failed deliveries. Without ids or filters, all failed deliveries of the session are removed.'
+    #swagger.requestBody = {
+      required: false,
+      schema: {
+        type: 'object',
+        properties: {
+          ids: { type: 'array', items: { type: 'string' }, description: 'Delivery ids' },
+          dataType: { type: 'string', description: 'Event type', example: 'message' },
+          from: { type: 'string', description: 'Event created at or after (ms or ISO date)' },
+          to: { type: 'string', description: 'Event created at or before (ms or ISO date)' }
+        }
+      }
+    }
+  */
+  const sessionId = req.params.sessionId
+  try {
+    const { selection, error } = parseSelection(req.body)
+    if (error) {
+      return sendErrorResponse(res, 400, error)
+    }
+    const result = await webhookOutbox.purgeDeadLetters(sessionId, selection)
+    res.json({ success: true, result })
+  } catch (error) {
+    logger.error({ sessionId, err: error }, 'Failed to purge webhook dead letters')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+/**
+ * Lists the webhook subscriptions of the given session.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.sessionId - The session ID.
+ * @returns {Promise<void>}
+ */
+const getSubscriptions = async (req, res) => {
+  /*
+    #swagger.summary = 'List webhook subscriptions'
+    #swagger.description = 'Lists the webhook subscriptions of the session. They receive events in addition to the default webhook.'
+  */
+  const sessionId = req.params.sessionId
+  try {
+    res.json({ success: true, result: webhookSubscriptions.listSubscriptions(sessionId) })
+  } catch (error) {
+    logger.error({ sessionId, err: error }, 'Failed to list webhook subscriptions')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+/**
+ * Creates a webhook subscription for the given session. It applies to the next events without restarting the session.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.sessionId - The session ID.
+ * @param {string} req.body.url - The target URL.
+ * @param {Object} [req.body.headers] - Extra headers sent with every delivery.
+ * @param {string[]} [req.body.events] - Event types to deliver (empty or "*" for all).
+ * @param {boolean} [req.body.active] - Whether deliveries are enabled (default true).
+ * @param {string} [req.body.format] - Payload format: raw (default) or normalized.
+ * @returns {Promise<void>}
+ */
+const createSubscription = async (req, res) => {
+  /*
+    #swagger.summary = 'Create a webhook subscription'
+    #swagger.description = 'Registers a webhook subscription for the session. It applies to the next events without restarting the session.'
+    #swagger.requestBody = {
+      required: true,
+      schema: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', description: 'Target URL (http or https)', example: 'https://crm.example.com/whatsapp/webhook' },
+          headers: { type: 'object', description: 'Extra headers sent with every delivery', example: { authorization: 'Bearer token' } },
+          events: { type: 'array', items: { type: 'string' }, description: 'Event types to deliver (empty or "*" for all)', example: ['message', 'message_ack'] },
+          active: { type: 'boolean', description: 'Whether deliveries are enabled', example: true },
+          format: { type: 'string', enum: ['raw', 'normalized'], description: 'Payload format: raw whatsapp-web.js objects or the versioned normalized schema', example: 'normalized' }
+        }
+      }
+    }
+  */
+  const sessionId = req.params.sessionId
+  try {
+    const { subscription, error } = await webhookSubscriptions.createSubscription(sessionId, req.body)
+    if (error) {
+      return sendErrorResponse(res, 400, error)
+    }
+    res.json({ success: true, result: subscription })
+  } catch (error) {
+    logger.error({ sessionId, err: error }, 'Failed to create webhook subscription')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+/**
+ * Updates a webhook subscription. Only the given fields are changed.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.sessionId - The session ID.
+ * @param {string} req.params.subscriptionId - The subscription ID.
+ * @param {string} [req.body.url] - The target URL.
+ * @param {Object} [req.body.headers] - Extra headers sent with every delivery.
+ * @param {string[]} [req.body.events] - Event types to deliver (empty or "*" for all).
+ * @param {boolean} [req.body.active] - Whether deliveries are enabled.
+ * @param {string} [req.body.format] - Payload format: raw or normalized.
+ * @returns {Promise<void>}
+ */
+const updateSubscription = async (req, res) => {
+  /*
+    #swagger.summary = 'Update a webhook subscription'
+    #swagger.description = 'Updates the given fields of a webhook subscription. It applies to the next events without restarting the session.'
+    #swagger.requestBody = {
+      required: false,
+      schema: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', description: 'Target URL (http or https)', example: 'https://crm.example.com/whatsapp/webhook' },
+          headers: { type: 'object', description: 'Extra headers sent with every delivery', example: { authorization: 'Bearer token' } },
+          events: { type: 'array', items: { type: 'string' }, description: 'Event types to deliver (empty or "*" for all)', example: ['message', 'message_ack'] },
+          active: { type: 'boolean', description: 'Whether deliveries are enabled', example: true },
+          format: { type: 'string', enum: ['raw', 'normalized'], description: 'Payload format: raw whatsapp-web.js objects or the versioned normalized schema', example: 'normalized' }
+        }
+      }
+    }
+  */
+  const { sessionId, subscriptionId } = req.params
+  try {
+    if (!SUBSCRIPTION_ID_PATTERN.test(subscriptionId)) {
+      return sendErrorResponse(res, 422, 'Invalid subscription id')
+    }
+    const { subscription, error } = await webhookSubscriptions.updateSubscription(sessionId, subscriptionId, req.body)
+    if (error) {
+      return sendErrorResponse(res, 400, error)
+    }
+    if (!subscription) {
+      return sendErrorResponse(res, 404, 'Subscription not found')
+    }
+    res.json({ success: true, result: subscription })
+  } catch (error) {
+    logger.error({ sessionId, subscriptionId, err: error }, 'Failed to update webhook subscription')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+/**
+ * Deletes a webhook subscription. Deliveries already queued for it are still attempted.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.sessionId - The session ID.
+ * @param {string} req.params.subscriptionId - The subscription ID.
+ * @returns {Promise<void>}
+ */
+const deleteSubscription = async (req, res) => {
+  /*
+    #swagger.summary = 'Delete a webhook subscription'
+  */
+  const { sessionId, subscriptionId } = req.params
+  try {
+    if (!SUBSCRIPTION_ID_PATTERN.test(subscriptionId)) {
+      return sendErrorResponse(res, 422, 'Invalid subscription id')
+    }
+    const deleted = await webhookSubscriptions.deleteSubscription(sessionId, subscriptionId)
+    if (!deleted) {
+      return sendErrorResponse(res, 404, 'Subscription not found')
+    }
+    res.json({ success: true, message: 'Subscription deleted successfully' })
+  } catch (error) {
+    logger.error({ sessionId, subscriptionId, err: error }, 'Failed to delete webhook subscription')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+/**
+ * Gets the most recent webhook delivery attempts of the given session, newest first.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.sessionId - The session ID.
+ * @param {string} [req.query.dataType] - Only attempts for this event type.
+ * @param {string} [req.query.subscriptionId] - Only attempts for this subscription ('default' for the default webhook).
+ * @param {string} [req.query.success] - 'true' or 'false' to filter by outcome.
+ * @param {string} [req.query.from] - Only attempts at or after this time (ms or ISO date).
+ * @param {string} [req.query.to] - Only attempts at or before this time (ms or ISO date).
+ * @param {number} [req.query.limit] - Maximum number of items to return (default 100).
+ * @returns {Promise<void>}
+ */
+const getDeliveryLog = async (req, res) => {
+  /*
+    #swagger.summary = 'Get the webhook delivery log'
+    #swagger.description = 'Most recent webhook delivery attempts of the session (status code, latency, attempt number), newest first. The log is kept in memory and bounded by WEBHOOK_DELIVERY_LOG_SIZE.'
+    #swagger.parameters['dataType'] = { in: 'query', type: 'string', description: 'Filter by event type', example: 'message' }
+    #swagger.parameters['subscriptionId'] = { in: 'query', type: 'string', description: 'Filter by subscription id (default for the default webhook)' }
+    #swagger.parameters['success'] = { in: 'query', type: 'boolean', description: 'Filter by outcome' }
+    #swagger.parameters['from'] = { in: 'query', type: 'string', description: 'Attempt at or after (ms or ISO date)' }
+    #swagger.parameters['to'] = { in: 'query', type: 'string', description: 'Attempt at or before (ms or ISO date)' }
+    #swagger.parameters['limit'] = { in: 'query', type: 'integer', description: 'Page size (default 100)' }
+  */
+  const sessionId = req.params.sessionId
+  try {
+    const { selection, error } = parseSelection(req.query)
+    if (error) {
+      return sendErrorResponse(res, 400, error)
+    }
+    const { success, subscriptionId } = req.query
+    const result = webhookDeliveryLog.getDeliveryLog(sessionId, {
+      dataType: selection.dataType,
+      subscriptionId: subscriptionId || undefined,
+      success: success === 'true' ? true : success === 'false' ? false : undefined,
+      from: selection.from,
+      to: selection.to,
+      limit: Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100))
+    })
+    res.json({ success: true, result })
+  } catch (error) {
+    logger.error({ sessionId, err: error }, 'Failed to get webhook delivery log')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+/**
+ * Gets aggregated webhook delivery statistics per target URL of the given session.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.sessionId - The session ID.
+ * @returns {Promise<void>}
+ */
+const getDeliveryStats = async (req, res) => {
+  /*
+    #swagger.summary = 'Get webhook delivery statistics'
+    #swagger.description = 'Aggregated delivery statistics per target URL of the session since the server started: success rate, p50/p95 latency of the recent attempts and last error.'
+  */
+  const sessionId = req.params.sessionId
+  try {
+    res.json({ success: true, result: webhookDeliveryLog.getDeliveryStats(sessionId) })
+  } catch (error) {
+    logger.error({ sessionId, err: error }, 'Failed to get webhook delivery stats')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+/**
+ * Gets the circuit breaker state of every webhook target URL used by the given session.
+ * Targets are shared: the same URL used by several sessions has a single breaker.
+ *
+ * @function
+ * @async
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {string} req.params.sessionId - The session ID.
+ * @returns {Promise<void>}
+ */
+const getCircuitBreakers = async (req, res) => {
+  /*
+    #swagger.summary = 'Get webhook circuit breaker state'
+    #swagger.description = 'Circuit breaker state (CLOSED, OPEN or HALF_OPEN) of the target URLs the session delivered to or has subscriptions for. While a circuit is OPEN, events are kept in the outbox and sent after a successful probe.'
+  */
+  const sessionId = req.params.sessionId
+  try {
+    const urls = new Set([
+      ...webhookDeliveryLog.getDeliveryStats(sessionId).map(stats => stats.url),
+      ...webhookSubscriptions.listSubscriptions(sessionId).map(subscription => subscription.url)
+    ])
+    res.json({ success: true, result: [...urls].map(url => webhookTargets.getTargetState(url)) })
+  } catch (error) {
+    logger.error({ sessionId, err: error }, 'Failed to get webhook circuit breakers')
+    sendErrorResponse(res, 500, error.message)
+  }
+}
+
+module.exports = {
+  getDeadLetters,
+  getDeadLetter,
+  replayDeadLetters,
+  purgeDeadLetters,
+  getSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  getDeliveryLog,
+  getDeliveryStats,
+  getCircuitBreakers
+}
@@ -0,0 +1,160 @@
+const fs = require('fs')
+const path = require('path')
+const { sessionFolderPath, eventBufferSize, eventBufferPersist } = require('./config')
+const { logger } = require('./logger')
+
+// Com EVENT_BUFFER_PERSIST, um JSONL por sessão; prefixo "." para não ser confundido com session-<id>
+const eventLogRoot = path.resolve(sessionFolderPath, '.event-log')
+
+// Por sessão: { lastId, events (buffer circular, ids crescentes), appendedSinceCompact }
+const logs = new Map()
+const writeChains = new Map()
+
+const eventLogFilePath = (sessionId) => path.join(eventLogRoot, `${sessionId}.jsonl`)
+
+// Consultas (`cache` false) de sessões sem eventos não criam entrada no Map
+const loadLog = (sessionId, cache = true) => {
+  let log = logs.get(sessionId)
+  if (log) {
+    return log
+  }
+  log = { lastId: 0, events: [], appendedSinceCompact: 0 }
+  if (eventBufferPersist) {
+    try {
+      const lines = fs.readFileSync(eventLogFilePath(sessionId), 'utf8').split('\n').filter(Boolean)
+      for (const line of lines.slice(-eventBufferSize)) {
+        try {
+          log.events.push(JSON.parse(line))
+        } catch {
+          // linha truncada por queda no meio do append
+        }
+      }
+      if (log.events.length > 0) {
+        log.lastId = log.events[log.events.length - 1].id
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.error({ sessionId, err }, 'Falha ao ler log de eventos; sequência reiniciada')
+      }
+    }
+  }
+  if (cache || log.events.length > 0) {
+    logs.set(sessionId, log)
+  }
+  return log
+}
+
+const enqueueWrite = (sessionId, write) => {
+  const chain = (writeChains.get(sessionId) || Promise.resolve())
+    .then(write)
+    .catch(err => logger.error({ sessionId, err }, 'Falha ao gravar log de eventos'))
+  writeChains.set(sessionId, chain)
+}
+
+const persistEvent = (sessionId, log, event) => {
+  log.appendedSinceCompact++
+  if (log.appendedSinceCompact < eventBufferSize) {
+    enqueueWrite(sessionId, async () => {
+      await fs.promises.mkdir(eventLogRoot, { recursive: true })
+      await fs.promises.appendFile(eventLogFilePath(sessionId), JSON.stringify(event) + '\n')
+    })
+    return
+  }
+  // reescreve o arquivo só com o conteúdo do buffer para ele não crescer indefinidamente
+  log.appendedSinceCompact = 0
+  const snapshot = log.events.map(e => JSON.stringify(e) + '\n').join('')
+  enqueueWrite(sessionId, async () => {
+    await fs.promises.mkdir(eventLogRoot, { recursive: true })
+    const filePath = eventLogFilePath(sessionId)
+    await fs.promises.writeFile(`${filePath}.tmp`, snapshot)
+    await fs.promises.rename(`${filePath}.tmp`, filePath)
+  })
+}
+
+/**
+ * Cópia rasa do payload de um evento `media` sem o base64 inline.
+ *
+ * @param {string} dataType - Tipo do evento
+ * @param {*} data - Payload do evento
+ * @returns {Object|null} Payload sem `messageMedia.data`, ou null se o evento não traz mídia inline
+ */
+const omitInlineMedia = (dataType, data) => {
+  if (dataType !== 'media' || !data?.messageMedia?.data) {
+    return null
+  }
+  const { data: omitted, ...messageMedia } = data.messageMedia
+  return { ...data, messageMedia }
+}
+
+// base64 de mídia inline não fica no buffer: replay de centenas de anexos estouraria a memória
+const snapshotData = (dataType, data) => {
+  const withoutMedia = omitInlineMedia(dataType, data)
+  if (withoutMedia) {
+    return { snapshot: JSON.parse(JSON.stringify(withoutMedia)), dataOmitted: true }
+  }
+  return { snapshot: data === undefined ? undefined : JSON.parse(JSON.stringify(data)), dataOmitted: false }
+}
+
+/**
+ * Atribui o próximo id da sequência da sessão ao evento e o guarda no buffer de replay.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {string} dataType - Tipo do evento
+ * @param {*} data - Payload do evento
+ * @returns {number} Id do evento (crescente por sessão)
+ */
+const recordEvent = (sessionId, dataType, data) => {
+  const log = loadLog(sessionId)
+  const { snapshot, dataOmitted } = snapshotData(dataType, data)
+  const event = { id: log.lastId + 1, sessionId, dataType, data: snapshot, timestamp: Date.now() }
+  if (dataOmitted) {
+    event.dataOmitted = true
+  }
+  log.lastId = event.id
+  log.events.push(event)
+  if (log.events.length > eventBufferSize) {
+    log.events.splice(0, log.events.length - eventBufferSize)
+  }
+  if (eventBufferPersist) {
+    persistEvent(sessionId, log, event)
+  }
+  return event.id
+}
+
+/**
+ * Eventos da sessão com id maior que `lastEventId`, do mais antigo para o mais recente.
+ * `truncated` indica que houve perda: eventos já descartados do buffer, ou cursor à frente
+ * da sequência atual (reinício sem EVENT_BUFFER_PERSIST); nesse caso vem o buffer inteiro.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {number} lastEventId - Último id recebido pelo cliente (0 para tudo que estiver no buffer)
+ * @param {Object} [options] - `events` (lista de dataType), `limit`
+ * @returns {{ events: Object[], lastEventId: number, truncated: boolean }} `lastEventId` é o cursor para a próxima consulta
+ */
+const getEventsSince = (sessionId, lastEventId, { events: dataTypes, limit = eventBufferSize } = {}) => {
+  const log = loadLog(sessionId, false)
+  let cursor = lastEventId
+  let truncated = false
+  if (cursor > log.lastId) {
+    truncated = true
+    cursor = 0
+  } else if (cursor > 0 && log.events.length > 0 && cursor < log.events[0].id - 1) {
+    truncated = true
+  }
+  const result = []
+  for (const event of log.events) {
+    if (result.length >= limit) break
+    if (event.id <= cursor) continue
+    // o cursor avança também sobre eventos filtrados, para a próxima consulta não varrê-los de novo
+    cursor = event.id
+    if (dataTypes && !dataTypes.includes(event.dataType)) continue
+    result.push(event)
+  }
+  return { events: result, lastEventId: cursor, truncated }
+}
+
+module.exports = {
+  recordEvent,
+  getEventsSince,
+  omitInlineMedia
+}
@@ -0,0 +1,134 @@
+const { sseHeartbeatIntervalMs, sseMaxBufferedBytes, sseBackpressurePolicy } = require('./config')
+const { logger } = require('./logger')
+const { getEventsSince, omitInlineMedia } = require('./eventLog')
+
+// Por sessão, os clientes SSE conectados: { res, events (filtro de dataType ou undefined), droppedEvents }
+const streamsMap = new Map()
+
+// Mesmo corpo dos frames do WebSocket; o `id` do SSE permite ao EventSource reenviar Last-Event-ID sozinho
+const formatEvent = ({ id, sessionId, dataType, data, dataOmitted }) => {
+  const payload = { eventId: id, dataType, data, sessionId }
+  if (dataOmitted) {
+    payload.dataOmitted = true
+  }
+  return `id: ${id}\ndata: ${JSON.stringify(payload)}\n\n`
+}
+
+/**
+ * Escreve um evento já formatado no stream ou, se o cliente tem mais de `maxBufferedBytes` pendentes no socket,
+ * aplica a política de backpressure (a mesma do WebSocket: drop, disconnect ou skip_media).
+ *
+ * @param {Object} client - `{ res, droppedEvents }` do stream
+ * @param {string} sessionId - Sessão (log)
+ * @param {string} payload - Evento formatado
+ * @param {Function} [withoutMediaPayload] - Devolve o evento sem a mídia inline, ou null se não há mídia (skip_media)
+ * @param {Object} [options] - `maxBufferedBytes` e `policy` (padrão: SSE_MAX_BUFFERED_BYTES e SSE_BACKPRESSURE_POLICY; para testes)
+ * @returns {void}
+ */
+const sendToStream = (client, sessionId, payload, withoutMediaPayload = () => null, { maxBufferedBytes = sseMaxBufferedBytes, policy = sseBackpressurePolicy } = {}) => {
+  const { res } = client
+  if (res.writableLength < maxBufferedBytes) {
+    res.write(payload)
+    return
+  }
+  if (policy === 'skip_media') {
+    // eventos sem mídia inline são pequenos e seguem sendo entregues
+    res.write(withoutMediaPayload() || payload)
+    return
+  }
+  if (policy === 'disconnect') {
+    logger.warn({ sessionId, writableLength: res.writableLength }, 'SSE connection closed: too much buffered data')
+    // o EventSource reconecta com Last-Event-ID e recupera o que perdeu pelo replay
+    res.destroy()
+    return
+  }
+  if (!client.droppedEvents) {
+    logger.warn({ sessionId, writableLength: res.writableLength }, 'SSE client too slow; dropping events')
+  }
+  client.droppedEvents = (client.droppedEvents || 0) + 1
+}
+
+/**
+ * Abre um stream SSE com os eventos da sessão. Com `lastEventId`, reenvia antes os eventos
+ * perdidos do buffer de replay e um evento `replayed` com o resumo.
+ *
+ * @param {Object} req - Requisição HTTP
+ * @param {Object} res - Resposta HTTP (fica aberta até o cliente desconectar)
+ * @param {string} sessionId - Sessão
+ * @param {Object} [options] - `events` (lista de dataType), `lastEventId`
+ */
+const openEventStream = (req, res, sessionId, { events, lastEventId } = {}) => {
+  res.status(200)
+  res.set({
+    'content-type': 'text/event-stream; charset=utf-8',
+    'cache-control': 'no-cache, no-transform',
+    connection: 'keep-alive',
+    // nginx e afins não devem bufferizar o stream
+    'x-accel-buffering': 'no'
+  })
+  res.flushHeaders()
+  req.socket.setNoDelay(true)
+  res.write(': connected\n\n')
+
+  if (lastEventId !== undefined) {
+    const replay = getEventsSince(sessionId, lastEventId, { events })
+    for (const event of replay.events) {
+      res.write(formatEvent(event))
+    }
+    // sem `id`: o Last-Event-ID do cliente continua sendo o do último evento
+    res.write(`event: replayed\ndata: ${JSON.stringify({ sessionId, count: replay.events.length, lastEventId: replay.lastEventId, truncated: replay.truncated })}\n\n`)
+  }
+
+  const client = { res, events, droppedEvents: 0 }
+  let clients = streamsMap.get(sessionId)
+  if (!clients) {
+    clients = new Set()
+    streamsMap.set(sessionId, clients)
+  }
+  clients.add(client)
+  logger.debug({ sessionId, ip: req.ip }, 'SSE connection established')
+
+  // comentário periódico: mantém a conexão viva em proxies com timeout de ociosidade (dispensável com dados pendentes)
+  const heartbeat = setInterval(() => {
+    if (res.writableLength === 0) {
+      res.write(': heartbeat\n\n')
+    }
+  }, sseHeartbeatIntervalMs)
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    clients.delete(client)
+    if (clients.size === 0 && streamsMap.get(sessionId) === clients) {
+      streamsMap.delete(sessionId)
+    }
+    logger.debug({ sessionId, ip: req.ip }, 'SSE connection closed')
+  })
+}
+
+// Function to send data to the SSE clients of a session
+const triggerEventStream = (sessionId, dataType, data, eventId) => {
+  const clients = streamsMap.get(sessionId)
+  if (!clients || eventId === undefined) {
+    return
+  }
+  // serializado uma vez por evento, não por cliente
+  let payload
+  let withoutMediaPayload
+  const reducedPayload = () => {
+    if (withoutMediaPayload === undefined) {
+      const withoutMedia = omitInlineMedia(dataType, data)
+      withoutMediaPayload = withoutMedia ? formatEvent({ id: eventId, sessionId, dataType, data: withoutMedia, dataOmitted: true }) : null
+    }
+    return withoutMediaPayload
+  }
+  for (const client of clients) {
+    if (client.events && !client.events.includes(dataType)) continue
+    payload = payload || formatEvent({ id: eventId, sessionId, dataType, data })
+    sendToStream(client, sessionId, payload, reducedPayload)
+  }
+}
+
+module.exports = {
+  openEventStream,
+  triggerEventStream,
+  sendToStream
+}
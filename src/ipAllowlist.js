@@ -0,0 +1,140 @@
+const dns = require('dns')
+const net = require('net')
+const { ipAllowlist } = require('./config')
+const { logger } = require('./logger')
+
+// Endereço IPv4 mapeado em IPv6 (socket dual-stack) é comparado como IPv4
+const normalizeIp = (ip) => /^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(ip) ? ip.slice(7) : ip
+
+const parseRule = (entry) => {
+  const [rawAddress, rawPrefix, extra] = String(entry).trim().split('/')
+  const address = normalizeIp(rawAddress)
+  const version = net.isIP(address)
+  if (!version || extra !== undefined) {
+    return null
+  }
+  const maxPrefix = version === 4 ? 32 : 128
+  if (rawPrefix !== undefined && (!/^\d{1,3}$/.test(rawPrefix) || Number(rawPrefix) > maxPrefix)) {
+    return null
+  }
+  return { address, prefix: rawPrefix === undefined ? maxPrefix : Number(rawPrefix), type: version === 4 ? 'ipv4' : 'ipv6' }
+}
+
+/**
+ * Monta a lista de redes permitidas a partir de IPs e blocos CIDR (IPv4 ou IPv6).
+ *
+ * @param {string[]} entries - Ex.: `["203.0.113.10", "10.0.0.0/8", "2001:db8::/32"]`
+ * @returns {{ blockList: net.BlockList, invalid: string[] }} `invalid` lista as entradas ignoradas
+ */
+const parseCidrList = (entries) => {
+  const blockList = new net.BlockList()
+  const invalid = []
+  for (const entry of entries) {
+    const rule = parseRule(entry)
+    if (rule) {
+      blockList.addSubnet(rule.address, rule.prefix, rule.type)
+    } else {
+      invalid.push(entry)
+    }
+  }
+  return { blockList, invalid }
+}
+
+const isIpInList = (blockList, ip) => {
+  const address = normalizeIp(ip || '')
+  const version = net.isIP(address)
+  return version !== 0 && blockList.check(address, version === 4 ? 'ipv4' : 'ipv6')
+}
+
+const globalAllowlist = ipAllowlist.length > 0 ? parseCidrList(ipAllowlist) : null
+if (globalAllowlist?.invalid.length > 0) {
+  logger.error({ invalid: globalAllowlist.invalid }, 'Entradas inválidas em IP_ALLOWLIST ignoradas')
+}
+
+// Listas das API keys, montadas uma vez por conteúdo (o principal é recriado a cada requisição)
+const keyAllowlists = new Map()
+const MAX_CACHED_KEY_ALLOWLISTS = 1000
+
+const getKeyAllowlist = (allowedIps) => {
+  const cacheKey = allowedIps.join(',')
+  let blockList = keyAllowlists.get(cacheKey)
+  if (!blockList) {
+    if (keyAllowlists.size >= MAX_CACHED_KEY_ALLOWLISTS) {
+      keyAllowlists.clear()
+    }
+    blockList = parseCidrList(allowedIps).blockList
+    keyAllowlists.set(cacheKey, blockList)
+  }
+  return blockList
+}
+
+/**
+ * Confere o IP do cliente contra IP_ALLOWLIST (todas as requisições) e, se a key tiver, contra o `allowedIps` dela.
+ *
+ * @param {string} ip - IP do cliente (`req.ip`, já considerando TRUST_PROXY)
+ * @param {Object} [principal] - Key autenticada; ausente para conferir só a lista global
+ * @returns {{ allowed: boolean, error?: string }}
+ */
+const checkClientIp = (ip, principal) => {
+  if (globalAllowlist && !isIpInList(globalAllowlist.blockList, ip)) {
+    return { allowed: false, error: `Client IP ${ip} is not allowed` }
+  }
+  if (principal?.allowedIps?.length > 0 && !isIpInList(getKeyAllowlist(principal.allowedIps), ip)) {
+    return { allowed: false, error: `Client IP ${ip} is not allowed for this API key` }
+  }
+  return { allowed: true }
+}
+
+// Loopback, redes privadas (RFC 1918, CGNAT, ULA), link-local (metadados de nuvem em 169.254.169.254),
+// multicast e faixas reservadas: destinos internos que um webhook cadastrado pela API não deve alcançar
+const INTERNAL_NETWORKS = parseCidrList([
+  '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.0.0.0/24',
+  '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/4', '240.0.0.0/4',
+  '::/128', '::1/128', '64:ff9b::/96', 'fc00::/7', 'fe80::/10', 'ff00::/8'
+]).blockList
+
+/**
+ * Indica se o host aponta para a rede interna: `localhost` ou um IP literal em INTERNAL_NETWORKS.
+ * Outros nomes só são conferidos na resolução, por publicAddressLookup.
+ *
+ * @param {string} hostname - `URL.hostname` (IPv6 entre colchetes)
+ * @returns {boolean}
+ */
+const isInternalHost = (hostname) => {
+  const host = String(hostname).toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '')
+  return host === 'localhost' || host.endsWith('.localhost') || isIpInList(INTERNAL_NETWORKS, host)
+}
+
+/**
+ * `lookup` para conexões HTTP que recusa nomes resolvidos para a rede interna (ver isInternalHost).
+ * Conferir na conexão, e não só no cadastro, impede que o DNS passe a apontar para um endereço interno depois.
+ *
+ * @param {string} hostname - Nome a resolver
+ * @param {Object} options - Opções de dns.lookup (`all`, `family`...)
+ * @param {Function} callback - Mesmo contrato de dns.lookup
+ * @returns {void}
+ */
+const publicAddressLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err)
+    }
+    const internal = addresses.find(({ address }) => isIpInList(INTERNAL_NETWORKS, address))
+    if (internal) {
+      const error = new Error(`${hostname} resolves to an internal address (${internal.address})`)
+      error.code = 'EINTERNALADDRESS'
+      return callback(error)
+    }
+    if (options.all) {
+      return callback(null, addresses)
+    }
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+module.exports = {
+  parseCidrList,
+  checkClientIp,
+  isInternalHost,
+  publicAddressLookup
+}
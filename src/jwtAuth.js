@@ -0,0 +1,174 @@
+const fs = require('fs')
+const crypto = require('crypto')
+const {
+  jwtSecret, jwtJwksPath, jwtIssuer, jwtAudience, jwtSessionsClaim, jwtScopesClaim, jwtClockToleranceSec
+} = require('./config')
+const { logger } = require('./logger')
+
+const jwtEnabled = Boolean(jwtSecret || jwtJwksPath)
+const JWT_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]+$/
+// Recarga do JWKS ao ver um kid desconhecido (rotação de chaves no IdP), no máximo uma vez por intervalo
+const JWKS_RELOAD_INTERVAL_MS = 60000
+
+// Algoritmo aceito para cada tipo de chave do JWKS; HS256 só com JWT_SECRET, nunca com chave pública
+const ALGORITHM_BY_KEY = { RSA: 'RS256', 'EC:P-256': 'ES256' }
+
+let jwks = { keys: new Map(), mtimeMs: null, loadedAt: 0 }
+
+const loadJwks = () => {
+  const next = { keys: new Map(), mtimeMs: null, loadedAt: Date.now() }
+  try {
+    next.mtimeMs = fs.statSync(jwtJwksPath).mtimeMs
+    const { keys } = JSON.parse(fs.readFileSync(jwtJwksPath, 'utf8'))
+    for (const jwk of keys || []) {
+      if (jwk.use && jwk.use !== 'sig') continue
+      const alg = ALGORITHM_BY_KEY[jwk.kty === 'EC' ? `EC:${jwk.crv}` : jwk.kty]
+      if (!alg || (jwk.alg && jwk.alg !== alg)) {
+        logger.warn({ kid: jwk.kid, kty: jwk.kty, alg: jwk.alg }, 'Chave do JWKS ignorada: algoritmo não suportado')
+        continue
+      }
+      next.keys.set(jwk.kid || '', { alg, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) })
+    }
+  } catch (err) {
+    logger.error({ err, path: jwtJwksPath }, 'Falha ao ler JWKS; tokens RS256/ES256 serão recusados')
+  }
+  jwks = next
+}
+
+const findPublicKey = (kid) => {
+  let entry = jwks.keys.get(kid || '')
+  if (!entry && Date.now() - jwks.loadedAt >= JWKS_RELOAD_INTERVAL_MS) {
+    let mtimeMs = null
+    try {
+      mtimeMs = fs.statSync(jwtJwksPath).mtimeMs
+    } catch { }
+    if (mtimeMs !== jwks.mtimeMs) {
+      loadJwks()
+      entry = jwks.keys.get(kid || '')
+    } else {
+      jwks.loadedAt = Date.now()
+    }
+  }
+  // token sem kid usa a chave sem kid do JWKS
+  return entry || null
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'))
+
+const verifySignature = (alg, kid, signingInput, signature) => {
+  if (alg === 'HS256') {
+    if (!jwtSecret) {
+      return false
+    }
+    const expected = crypto.createHmac('sha256', jwtSecret).update(signingInput).digest()
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature)
+  }
+  if ((alg === 'RS256' || alg === 'ES256') && jwtJwksPath) {
+    const entry = findPublicKey(kid)
+    if (!entry || entry.alg !== alg) {
+      return false
+    }
+    // JWS usa r||s (IEEE P1363) nas assinaturas ECDSA, não DER
+    const key = alg === 'ES256' ? { key: entry.key, dsaEncoding: 'ieee-p1363' } : entry.key
+    return crypto.verify('sha256', Buffer.from(signingInput), key, signature)
+  }
+  return false
+}
+
+// Claim em array ou string separada por espaços/vírgulas (formato `scope` do OAuth)
+const claimList = (value) => {
+  if (Array.isArray(value)) {
+    return value.filter(item => typeof item === 'string')
+  }
+  return typeof value === 'string' ? value.split(/[\s,]+/).filter(Boolean) : []
+}
+
+const checkClaims = (claims) => {
+  const now = Math.floor(Date.now() / 1000)
+  // sem exp o token valeria para sempre: um token vazado não teria como deixar de funcionar
+  if (claims.exp === undefined) {
+    return 'missing exp claim'
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + jwtClockToleranceSec < now) {
+    return 'token expired'
+  }
+  if (claims.nbf !== undefined && (typeof claims.nbf !== 'number' || claims.nbf - jwtClockToleranceSec > now)) {
+    return 'token not yet valid'
+  }
+  if (jwtIssuer && claims.iss !== jwtIssuer) {
+    return 'invalid issuer'
+  }
+  if (jwtAudience && !claimList(claims.aud).includes(jwtAudience)) {
+    return 'invalid audience'
+  }
+  return null
+}
+
+/**
+ * Valida um JWT (assinatura, exp/nbf, iss/aud configurados) e mapeia as claims de sessões e escopos.
+ *
+ * @param {string} token - JWT compacto
+ * @returns {{ principal?: Object, error?: string }} `principal` no mesmo formato de uma API key (`id`, `sessions`, `scopes`)
+ */
+const verifyJwt = (token) => {
+  if (!jwtEnabled || typeof token !== 'string' || !JWT_PATTERN.test(token)) {
+    return { error: 'malformed token' }
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.')
+  let header, claims
+  try {
+    header = decodeSegment(encodedHeader)
+    claims = decodeSegment(encodedPayload)
+  } catch {
+    return { error: 'malformed token' }
+  }
+  if (!claims || typeof claims !== 'object') {
+    return { error: 'malformed token' }
+  }
+  if (!verifySignature(header.alg, header.kid, `${encodedHeader}.${encodedPayload}`, Buffer.from(encodedSignature, 'base64url'))) {
+    return { error: 'invalid signature' }
+  }
+  const error = checkClaims(claims)
+  if (error) {
+    return { error }
+  }
+  return {
+    principal: {
+      id: claims.sub ? `jwt:${claims.sub}` : 'jwt',
+      name: claims.sub || null,
+      sessions: claimList(claims[jwtSessionsClaim]),
+      scopes: claimList(claims[jwtScopesClaim]),
+      jwt: true
+    }
+  }
+}
+
+/**
+ * Token do header `Authorization: Bearer <token>`.
+ *
+ * @param {string} [authorization] - Valor do header
+ * @returns {string|null}
+ */
+const extractBearerToken = (authorization) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(authorization || '')
+  return match ? match[1] : null
+}
+
+/**
+ * Indica se o valor tem o formato de um JWT compacto (três segmentos base64url).
+ *
+ * @param {string} value - Valor recebido como credencial
+ * @returns {boolean}
+ */
+const looksLikeJwt = (value) => typeof value === 'string' && JWT_PATTERN.test(value)
+
+if (jwtJwksPath) {
+  loadJwks()
+}
+
+module.exports = {
+  jwtEnabled,
+  verifyJwt,
+  extractBearerToken,
+  looksLikeJwt
+}
@@ -0,0 +1,252 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const axios = require('axios')
+const {
+  mediaStore, mediaStorePath, mediaPublicUrl, mediaUrlSecret, mediaUrlTtlSec,
+  s3Endpoint, s3Region, s3Bucket, s3AccessKeyId, s3SecretAccessKey, s3ForcePathStyle, s3KeyPrefix
+} = require('./config')
+const { logger } = require('./logger')
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex')
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest()
+
+/**
+ * Armazenamento em disco: <root>/<2 primeiros chars do hash>/<hash> + <hash>.json com os metadados.
+ *
+ * @param {string} root - Pasta base
+ * @returns {Object} Store com `exists`, `put` e `get`
+ */
+const createLocalMediaStore = (root) => {
+  const objectPath = (hash) => path.join(root, hash.slice(0, 2), hash)
+  return {
+    name: 'local',
+    exists: async (hash) => {
+      try {
+        await fs.promises.access(objectPath(hash))
+        return true
+      } catch {
+        return false
+      }
+    },
+    put: async (hash, buffer, contentType) => {
+      const filePath = objectPath(hash)
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+      // metadados antes do conteúdo: `exists` só fica true quando os dois estão gravados
+      await fs.promises.writeFile(`${filePath}.json`, JSON.stringify({ contentType, size: buffer.length }))
+      const tmpPath = `${filePath}.tmp`
+      await fs.promises.writeFile(tmpPath, buffer)
+      await fs.promises.rename(tmpPath, filePath)
+    },
+    get: async (hash) => {
+      const filePath = objectPath(hash)
+      let meta
+      try {
+        meta = JSON.parse(await fs.promises.readFile(`${filePath}.json`, 'utf8'))
+        await fs.promises.access(filePath)
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          return null
+        }
+        throw err
+      }
+      return { stream: fs.createReadStream(filePath), contentType: meta.contentType, size: meta.size }
+    }
+  }
+}
+
+/**
+ * Armazenamento S3-compatível (AWS, MinIO...) com assinatura AWS Signature V4 feita aqui,
+ * sem depender do SDK da AWS.
+ *
+ * @param {Object} options - `endpoint`, `region`, `bucket`, `accessKeyId`, `secretAccessKey`, `forcePathStyle`, `keyPrefix`
+ * @returns {Object} Store com `exists`, `put` e `get`
+ */
+const createS3MediaStore = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, keyPrefix }) => {
+  const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`)
+
+  const objectUrl = (hash) => {
+    const key = `${keyPrefix}${hash}`.split('/').map(encodeURIComponent).join('/')
+    const url = new URL(baseUrl.href)
+    if (forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/+$/, '')}/${bucket}/${key}`
+    } else {
+      url.host = `${bucket}.${url.host}`
+      url.pathname = `${url.pathname.replace(/\/+$/, '')}/${key}`
+    }
+    return url
+  }
+
+  const signedRequest = (method, hash, { body, contentType, responseType } = {}) => {
+    const url = objectUrl(hash)
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '')
+    const dateStamp = amzDate.slice(0, 8)
+    const payloadHash = body ? sha256Hex(body) : sha256Hex('')
+    const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate }
+    if (contentType) {
+      headers['content-type'] = contentType
+    }
+    const signedHeaders = Object.keys(headers).sort()
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      ...signedHeaders.map(name => `${name}:${headers[name]}`),
+      '',
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n')
+    const scope = `${dateStamp}/${region}/s3/aws4_request`
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n')
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request')
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+    const { host, ...requestHeaders } = headers
+    requestHeaders.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+    return axios({
+      method,
+      url: url.href,
+      data: body,
+      headers: requestHeaders,
+      responseType,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: status => (status >= 200 && status < 300) || status === 404
+    })
+  }
+
+  return {
+    name: 's3',
+    exists: async (hash) => (await signedRequest('HEAD', hash)).status !== 404,
+    put: async (hash, buffer, contentType) => {
+      const response = await signedRequest('PUT', hash, { body: buffer, contentType })
+      if (response.status === 404) {
+        throw new Error(`S3 bucket not found: ${bucket}`)
+      }
+    },
+    get: async (hash) => {
+      const response = await signedRequest('GET', hash, { responseType: 'stream' })
+      if (response.status === 404) {
+        response.data.resume()
+        return null
+      }
+      const size = parseInt(response.headers['content-length'], 10)
+      return { stream: response.data, contentType: response.headers['content-type'], size: Number.isFinite(size) ? size : null }
+    }
+  }
+}
+
+const createConfiguredStore = () => {
+  if (mediaStore === 'local') {
+    return createLocalMediaStore(path.resolve(mediaStorePath))
+  }
+  if (mediaStore === 's3') {
+    if (!s3Bucket || !s3AccessKeyId || !s3SecretAccessKey) {
+      logger.error('MEDIA_STORE=s3 exige S3_BUCKET, S3_ACCESS_KEY_ID e S3_SECRET_ACCESS_KEY; mídia seguirá inline')
+      return null
+    }
+    return createS3MediaStore({
+      endpoint: s3Endpoint,
+      region: s3Region,
+      bucket: s3Bucket,
+      accessKeyId: s3AccessKeyId,
+      secretAccessKey: s3SecretAccessKey,
+      forcePathStyle: s3ForcePathStyle,
+      keyPrefix: s3KeyPrefix
+    })
+  }
+  return null
+}
+
+const store = createConfiguredStore()
+
+// Sem MEDIA_URL_SECRET o segredo vale só até o restart: links já enviados deixam de funcionar
+let urlSecret = mediaUrlSecret
+if (store && !urlSecret) {
+  urlSecret = crypto.randomBytes(32).toString('hex')
+  logger.warn('MEDIA_URL_SECRET não definido; usando segredo aleatório (links de mídia expiram no restart)')
+}
+
+const signMediaHash = (hash, expiresAt) => crypto.createHmac('sha256', urlSecret).update(`${hash}.${expiresAt}`).digest('hex')
+
+/**
+ * Monta a URL assinada de download de uma mídia.
+ *
+ * @param {string} hash - SHA-256 do conteúdo
+ * @param {number} [expiresAt] - Unix timestamp (segundos) de expiração
+ * @returns {{ url: string, expiresAt: number }}
+ */
+const buildMediaUrl = (hash, expiresAt = Math.floor(Date.now() / 1000) + mediaUrlTtlSec) => ({
+  url: `${mediaPublicUrl}/media/download/${hash}?expires=${expiresAt}&signature=${signMediaHash(hash, expiresAt)}`,
+  expiresAt
+})
+
+/**
+ * Valida a assinatura e a validade de uma URL de download.
+ *
+ * @param {string} hash - SHA-256 do conteúdo
+ * @param {string|number} expires - Valor do parâmetro `expires`
+ * @param {string} signature - Valor do parâmetro `signature`
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+const verifyMediaUrl = (hash, expires, signature) => {
+  if (!store) {
+    return { valid: false, reason: 'media_store_disabled' }
+  }
+  const expiresAt = Number(expires)
+  if (!HASH_PATTERN.test(hash) || !Number.isInteger(expiresAt) || typeof signature !== 'string') {
+    return { valid: false, reason: 'invalid_signature' }
+  }
+  const expected = Buffer.from(signMediaHash(hash, expiresAt))
+  const received = Buffer.from(signature)
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'invalid_signature' }
+  }
+  if (expiresAt < Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: 'expired' }
+  }
+  return { valid: true }
+}
+
+/**
+ * Lê uma mídia do store configurado.
+ *
+ * @param {string} hash - SHA-256 do conteúdo
+ * @returns {Promise<{ stream: ReadableStream, contentType: string, size: number|null }|null>}
+ */
+const getMedia = async (hash) => store ? store.get(hash) : null
+
+/**
+ * Grava a mídia baixada no store (uma única vez por conteúdo) e devolve os metadados com a URL
+ * assinada no lugar do base64. Sem store configurado, devolve a mídia inalterada (inline).
+ *
+ * @param {Object} messageMedia - MessageMedia da whatsapp-web.js (`mimetype`, `data` em base64, `filename`, `filesize`)
+ * @returns {Promise<Object>}
+ */
+const offloadMedia = async (messageMedia) => {
+  if (!store || !messageMedia || !messageMedia.data) {
+    return messageMedia
+  }
+  const buffer = Buffer.from(messageMedia.data, 'base64')
+  const hash = sha256Hex(buffer)
+  if (!await store.exists(hash)) {
+    await store.put(hash, buffer, messageMedia.mimetype || 'application/octet-stream')
+  }
+  return {
+    mimetype: messageMedia.mimetype,
+    filename: messageMedia.filename || null,
+    filesize: buffer.length,
+    sha256: hash,
+    ...buildMediaUrl(hash)
+  }
+}
+
+module.exports = {
+  createLocalMediaStore,
+  createS3MediaStore,
+  buildMediaUrl,
+  verifyMediaUrl,
+  getMedia,
+  offloadMedia
+}
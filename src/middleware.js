@@ -1,12 +1,40 @@
-const { globalApiKey, rateLimitMax, rateLimitWindowMs } = require('./config')
+const { rateLimitMax, rateLimitWindowMs, apiRateLimitWindowMs, apiRateLimitPerKey, apiRateLimitPerSession, webhookSignatureToleranceSec } = require('./config')
 const { sendErrorResponse } = require('./utils')
 const { validateSession } = require('./sessions')
+const { getWebhookSecrets } = require('./webhookOutbox')
+const { createReplayGuard, verifyWebhookSignature } = require('./webhookSignature')
+const { authenticateCredentials, authorizeApiKey, authRequired } = require('./apiKeys')
+const { extractBearerToken } = require('./jwtAuth')
+const { ROUTE_SCOPES } = require('./apiScopes')
+const { isMutatingEndpoint, pickTarget, recordAuditEntry } = require('./auditLog')
+const { checkClientIp } = require('./ipAllowlist')
 const rateLimiting = require('express-rate-limit')
 
+// IP fora da allowlist: recusado e sempre auditado, inclusive em endpoints de consulta.
+// Nos routers com `audit` a entrada sai de lá; nas demais rotas é gravada aqui, com o path completo
+const rejectClientIp = (req, res, error) => {
+  res.locals.auditReason = 'ip_not_allowed'
+  if (!res.locals.auditing) {
+    recordAuditEntry({
+      keyId: req.apiKey?.id || null,
+      ip: req.ip,
+      method: req.method,
+      route: `${req.baseUrl}${req.path}`,
+      sessionId: req.params.sessionId || null,
+      target: null,
+      status: 403,
+      reason: res.locals.auditReason
+    })
+  }
+  return sendErrorResponse(res, 403, error)
+}
+
 const apikey = async (req, res, next) => {
   /*
     #swagger.security = [{
           "apiKeyAuth": []
+    }, {
+          "bearerAuth": []
     }]
   */
   /* #swagger.responses[403] = {
@@ -18,15 +46,177 @@ const apikey = async (req, res, next) => {
         }
       }
   */
-  if (globalApiKey) {
-    const apiKey = req.headers['x-api-key']
-    if (!apiKey || apiKey !== globalApiKey) {
-      return sendErrorResponse(res, 403, 'Invalid API key')
+  // IP_ALLOWLIST vale antes de qualquer credencial; o `allowedIps` da key, depois de identificá-la
+  const ipCheck = checkClientIp(req.ip)
+  if (!ipCheck.allowed) {
+    return rejectClientIp(req, res, ipCheck.error)
+  }
+  // API_KEY global, key emitida pela API ou JWT bearer; escopos e sessões são conferidos depois, em `authorize`
+  if (authRequired) {
+    const { principal, error } = authenticateCredentials({
+      apiKey: req.headers['x-api-key'],
+      bearerToken: extractBearerToken(req.headers.authorization)
+    })
+    if (!principal) {
+      return sendErrorResponse(res, 403, error)
+    }
+    req.apiKey = principal
+    const keyIpCheck = checkClientIp(req.ip, principal)
+    if (!keyIpCheck.allowed) {
+      return rejectClientIp(req, res, keyIpCheck.error)
     }
   }
   next()
 }
 
+/**
+ * Confere escopo e sessão da key autenticada para os endpoints de um grupo de rotas (ver ROUTE_SCOPES).
+ * Usado no router: o endpoint e a sessão são os dois primeiros segmentos do path (`/<endpoint>/<sessionId>`).
+ *
+ * @param {string} group - Grupo de rotas em ROUTE_SCOPES
+ * @returns {Function} Middleware Express
+ */
+const authorize = (group) => async (req, res, next) => {
+  const [, endpoint, rawSessionId] = req.path.split('/')
+  let sessionId
+  try {
+    sessionId = rawSessionId ? decodeURIComponent(rawSessionId) : undefined
+  } catch {
+    return sendErrorResponse(res, 422, 'Session should be alphanumerical or -')
+  }
+  const scopes = ROUTE_SCOPES[group] || {}
+  const scope = Object.prototype.hasOwnProperty.call(scopes, endpoint) ? scopes[endpoint] : undefined
+  const { allowed, error } = authorizeApiKey(req.apiKey, scope, sessionId)
+  if (!allowed) {
+    return sendErrorResponse(res, 403, error)
+  }
+  next()
+}
+
+/**
+ * Registra no log de auditoria as chamadas aos endpoints que alteram estado, com o resultado ao fim da requisição.
+ * Vem antes de `apikey` no router para que credenciais inválidas e acessos negados também fiquem registrados.
+ *
+ * @param {string} group - Grupo de rotas; em `apiKeys` o segundo segmento do path é o id da key, não a sessão
+ * @returns {Function} Middleware Express
+ */
+const audit = (group) => async (req, res, next) => {
+  const [, endpoint, param] = req.path.split('/')
+  let decodedParam = param || null
+  try {
+    decodedParam = param ? decodeURIComponent(param) : null
+  } catch { }
+  // baseUrl/path mudam conforme a requisição atravessa os routers; captura antes
+  const route = `${req.baseUrl}/${endpoint}`
+  const startedAt = Date.now()
+  res.locals.auditing = true
+  // 'close' também dispara quando o cliente desconecta antes da resposta (status null, outcome aborted)
+  res.on('close', () => {
+    // consultas só entram quando recusadas pelo IP (`auditReason`)
+    if (!isMutatingEndpoint(endpoint, req.method) && !res.locals.auditReason) {
+      return
+    }
+    recordAuditEntry({
+      keyId: req.apiKey?.id || null,
+      ip: req.ip,
+      method: req.method,
+      route,
+      sessionId: group === 'apiKeys' ? null : decodedParam,
+      target: group === 'apiKeys' ? (decodedParam ? { keyId: decodedParam } : null) : pickTarget(req.body),
+      status: res.headersSent ? res.statusCode : null,
+      durationMs: Date.now() - startedAt,
+      ...(res.locals.auditReason && { reason: res.locals.auditReason })
+    })
+  })
+  next()
+}
+
+// Streams SSE: EventSource do navegador não envia headers customizados, então a key também vale em `?token=`
+const eventStreamApikey = async (req, res, next) => {
+  /*
+    #swagger.security = [{
+          "apiKeyAuth": []
+    }, {
+          "bearerAuth": []
+    }]
+    #swagger.parameters['token'] = {
+      in: 'query',
+      description: 'API key or JWT, for clients that cannot send headers (e.g. browser EventSource)',
+      required: false,
+      type: 'string'
+    }
+  */
+  const ipCheck = checkClientIp(req.ip)
+  if (!ipCheck.allowed) {
+    return rejectClientIp(req, res, ipCheck.error)
+  }
+  if (authRequired) {
+    const { principal, error: authError } = authenticateCredentials({
+      apiKey: req.headers['x-api-key'] || req.query.token,
+      bearerToken: extractBearerToken(req.headers.authorization)
+    })
+    if (!principal) {
+      return sendErrorResponse(res, 403, authError)
+    }
+    req.apiKey = principal
+    const keyIpCheck = checkClientIp(req.ip, principal)
+    if (!keyIpCheck.allowed) {
+      return rejectClientIp(req, res, keyIpCheck.error)
+    }
+    const { allowed, error } = authorizeApiKey(principal, ROUTE_SCOPES.session.events, req.params.sessionId)
+    if (!allowed) {
+      return sendErrorResponse(res, 403, error)
+    }
+  }
+  next()
+}
+
+const webhookReplayGuard = createReplayGuard({ toleranceSeconds: webhookSignatureToleranceSec })
+
+// Autenticação de um receptor de webhooks: assinatura HMAC quando há segredo configurado, senão API key (legado)
+const webhookSignature = async (req, res, next) => {
+  /*
+    #swagger.security = [{
+          "apiKeyAuth": []
+    }]
+    #swagger.responses[401] = {
+      description: "Invalid webhook signature.",
+      content: {
+        "application/json": {
+          schema: { "$ref": "#/definitions/ErrorResponse" }
+        }
+      }
+    }
+  */
+  const secrets = getWebhookSecrets(req.body?.sessionId)
+  if (secrets.length === 0) {
+    return apikey(req, res, next)
+  }
+  const verification = verifyWebhookSignature({
+    payload: req.rawBody || '',
+    signature: req.headers['x-signature'],
+    timestamp: req.headers['x-timestamp'],
+    secrets,
+    toleranceSeconds: webhookSignatureToleranceSec,
+    webhookId: req.headers['x-webhook-id'],
+    replayGuard: webhookReplayGuard
+  })
+  if (verification.reason === 'duplicate_delivery') {
+    // já processada: 2xx sem repetir o processamento, para um retry cuja resposta se perdeu não acabar em dead-letter
+    return res.json({ success: true, duplicate: true })
+  }
+  if (!verification.valid) {
+    return sendErrorResponse(res, 401, `Invalid webhook signature: ${verification.reason}`)
+  }
+  // só marca como processada com resposta 2xx: o retry de uma entrega que falhou precisa ser aceito
+  res.on('finish', () => {
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      webhookReplayGuard.remember(verification.replayKeys, req.headers['x-timestamp'])
+    }
+  })
+  next()
+}
+
 const sessionNameValidation = async (req, res, next) => {
   /*
     #swagger.parameters['sessionId'] = {
@@ -79,6 +269,69 @@ const rateLimiter = rateLimiting({
   }
 })
 
+// Limites das rotas da API: por key autenticada (ou IP, sem API_KEY) e por sessão (segundo segmento do path no router).
+// Stores próprios para os comandos WebSocket contarem nos mesmos limites
+const keyRateLimitStore = new rateLimiting.MemoryStore()
+const sessionRateLimitStore = new rateLimiting.MemoryStore()
+const rateLimitKey = (principal, ip) => principal ? `key:${principal.id}` : `ip:${ip}`
+
+const keyRateLimiter = rateLimiting({
+  limit: apiRateLimitPerKey,
+  windowMs: apiRateLimitWindowMs,
+  standardHeaders: 'draft-6',
+  legacyHeaders: false,
+  store: keyRateLimitStore,
+  skip: () => apiRateLimitPerKey === 0,
+  keyGenerator: (req) => rateLimitKey(req.apiKey, req.ip),
+  handler: (req, res) => sendErrorResponse(res, 429, 'Too many requests for this API key. Try again later')
+})
+
+// Sessão decodificada, para `%61bc` e `abc` contarem no mesmo limite (como no throttle de envio);
+// segmento malformado fica cru e a requisição é recusada adiante pela validação da sessão
+const rateLimitSessionId = (req) => {
+  const rawSessionId = req.path.split('/')[2]
+  try {
+    return rawSessionId ? decodeURIComponent(rawSessionId) : undefined
+  } catch {
+    return rawSessionId
+  }
+}
+
+const sessionRateLimiter = rateLimiting({
+  limit: apiRateLimitPerSession,
+  windowMs: apiRateLimitWindowMs,
+  standardHeaders: 'draft-6',
+  legacyHeaders: false,
+  store: sessionRateLimitStore,
+  skip: (req) => apiRateLimitPerSession === 0 || !rateLimitSessionId(req),
+  keyGenerator: rateLimitSessionId,
+  handler: (req, res) => sendErrorResponse(res, 429, 'Too many requests for this session. Try again later')
+})
+
+/**
+ * Conta um comando WebSocket nos limites por key e por sessão das rotas HTTP.
+ *
+ * @param {Object} [principal] - Key autenticada no upgrade (undefined sem API_KEY configurada)
+ * @param {string} ip - IP do cliente
+ * @param {string} sessionId - Sessão alvo
+ * @returns {Promise<string|null>} Mensagem de erro para responder com 429, ou null se dentro dos limites
+ */
+const consumeCommandRateLimit = async (principal, ip, sessionId) => {
+  if (apiRateLimitPerKey > 0) {
+    const { totalHits } = await keyRateLimitStore.increment(rateLimitKey(principal, ip))
+    if (totalHits > apiRateLimitPerKey) {
+      return 'Too many requests for this API key. Try again later'
+    }
+  }
+  if (apiRateLimitPerSession > 0) {
+    const { totalHits } = await sessionRateLimitStore.increment(sessionId)
+    if (totalHits > apiRateLimitPerSession) {
+      return 'Too many requests for this session. Try again later'
+    }
+  }
+  return null
+}
+
 const sessionSwagger = async (req, res, next) => {
   /*
     #swagger.tags = ['Session']
@@ -233,9 +486,58 @@ const channelSwagger = async (req, res, next) => {
   next()
 }
 
+const webhookSwagger = async (req, res, next) => {
+  /*
+    #swagger.tags = ['Webhook']
+    #swagger.responses[500] = {
+      description: "Server failure.",
+      content: {
+        "application/json": {
+          schema: { "$ref": "#/definitions/ErrorResponse" }
+        }
+      }
+    }
+  */
+  next()
+}
+
+const apiKeySwagger = async (req, res, next) => {
+  /*
+    #swagger.tags = ['API Keys']
+    #swagger.responses[500] = {
+      description: "Server failure.",
+      content: {
+        "application/json": {
+          schema: { "$ref": "#/definitions/ErrorResponse" }
+        }
+      }
+    }
+  */
+  next()
+}
+
+const auditSwagger = async (req, res, next) => {
+  /*
+    #swagger.tags = ['Audit']
+    #swagger.responses[500] = {
+      description: "Server failure.",
+      content: {
+        "application/json": {
+          schema: { "$ref": "#/definitions/ErrorResponse" }
+        }
+      }
+    }
+  */
+  next()
+}
+
 module.exports = {
   sessionValidation,
   apikey,
+  authorize,
+  audit,
+  eventStreamApikey,
+  webhookSignature,
   sessionNameValidation,
   sessionSwagger,
   clientSwagger,
@@ -244,5 +546,11 @@ module.exports = {
   chatSwagger,
   groupChatSwagger,
   channelSwagger,
-  rateLimiter
+  webhookSwagger,
+  apiKeySwagger,
+  auditSwagger,
+  rateLimiter,
+  keyRateLimiter,
+  sessionRateLimiter,
+  consumeCommandRateLimit
 }
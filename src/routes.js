@@ -13,6 +13,10 @@ const groupChatController = require('./controllers/groupChatController')
 const messageController = require('./controllers/messageController')
 const contactController = require('./controllers/contactController')
 const channelController = require('./controllers/channelController')
+const webhookController = require('./controllers/webhookController')
+const mediaController = require('./controllers/mediaController')
+const apiKeyController = require('./controllers/apiKeyController')
+const auditController = require('./controllers/auditController')
 
 /**
  * ================
@@ -22,9 +26,11 @@ const channelController = require('./controllers/channelController')
 
 // API endpoint to check if server is alive
 routes.get('/ping', healthController.ping)
+// WebSocket connections and dropped frame metrics
+routes.get('/getWebSocketStats', [middleware.apikey, middleware.keyRateLimiter, middleware.authorize('health')], healthController.getWebSocketStats)
 // API basic callback
 if (enableLocalCallbackExample) {
-  routes.post('/localCallbackExample', [middleware.apikey, middleware.rateLimiter], healthController.localCallbackExample)
+  routes.post('/localCallbackExample', [middleware.webhookSignature, middleware.rateLimiter], healthController.localCallbackExample)
 }
 
 /**
@@ -32,12 +38,20 @@ if (enableLocalCallbackExample) {
  * SESSION ENDPOINTS
  * ================
  */
+// SSE registrado antes do sessionRouter: aceita a API key também em ?token= (EventSource não envia headers)
+routes.get('/session/events/:sessionId', [middleware.eventStreamApikey, middleware.keyRateLimiter, middleware.sessionNameValidation, middleware.sessionSwagger], sessionController.streamEvents)
+
 const sessionRouter = express.Router()
+sessionRouter.use(middleware.audit('session'))
 sessionRouter.use(middleware.apikey)
+sessionRouter.use([middleware.keyRateLimiter, middleware.sessionRateLimiter])
+sessionRouter.use(middleware.authorize('session'))
 sessionRouter.use(middleware.sessionSwagger)
 routes.use('/session', sessionRouter)
 
 sessionRouter.get('/getSessions', sessionController.getSessions)
+sessionRouter.get('/getSessionDetails', sessionController.getSessionDetails)
+sessionRouter.get('/getRestoreProgress', sessionController.getRestoreProgress)
 sessionRouter.get('/start/:sessionId', middleware.sessionNameValidation, sessionController.startSession)
 sessionRouter.get('/stop/:sessionId', middleware.sessionNameValidation, sessionController.stopSession)
 sessionRouter.get('/status/:sessionId', middleware.sessionNameValidation, sessionController.statusSession)
@@ -49,6 +63,13 @@ sessionRouter.get('/terminate/:sessionId', middleware.sessionNameValidation, ses
 sessionRouter.get('/terminateInactive', sessionController.terminateInactiveSessions)
 sessionRouter.get('/terminateAll', sessionController.terminateAllSessions)
 sessionRouter.get('/getPageScreenshot/:sessionId', middleware.sessionNameValidation, sessionController.getPageScreenshot)
+sessionRouter.get('/getEvents/:sessionId', middleware.sessionNameValidation, sessionController.getEvents)
+sessionRouter.get('/getStateHistory/:sessionId', middleware.sessionNameValidation, sessionController.getStateHistory)
+sessionRouter.get('/getHealth', sessionController.getHealth)
+sessionRouter.get('/getHealth/:sessionId', middleware.sessionNameValidation, sessionController.getHealth)
+sessionRouter.get('/config/:sessionId', middleware.sessionNameValidation, sessionController.getSessionConfig)
+sessionRouter.post('/config/:sessionId', middleware.sessionNameValidation, sessionController.updateSessionConfig)
+sessionRouter.delete('/config/:sessionId', middleware.sessionNameValidation, sessionController.deleteSessionConfig)
 
 /**
  * ================
@@ -57,7 +78,10 @@ sessionRouter.get('/getPageScreenshot/:sessionId', middleware.sessionNameValidat
  */
 
 const clientRouter = express.Router()
+clientRouter.use(middleware.audit('client'))
 clientRouter.use(middleware.apikey)
+clientRouter.use([middleware.keyRateLimiter, middleware.sessionRateLimiter])
+clientRouter.use(middleware.authorize('client'))
 sessionRouter.use(middleware.clientSwagger)
 routes.use('/client', clientRouter)
 
@@ -125,7 +149,10 @@ clientRouter.post('/runMethod/:sessionId', [middleware.sessionNameValidation, mi
  * ================
  */
 const chatRouter = express.Router()
+chatRouter.use(middleware.audit('chat'))
 chatRouter.use(middleware.apikey)
+chatRouter.use([middleware.keyRateLimiter, middleware.sessionRateLimiter])
+chatRouter.use(middleware.authorize('chat'))
 sessionRouter.use(middleware.chatSwagger)
 routes.use('/chat', chatRouter)
 
@@ -150,7 +177,10 @@ chatRouter.post('/runMethod/:sessionId', [middleware.sessionNameValidation, midd
  * ================
  */
 const groupChatRouter = express.Router()
+groupChatRouter.use(middleware.audit('groupChat'))
 groupChatRouter.use(middleware.apikey)
+groupChatRouter.use([middleware.keyRateLimiter, middleware.sessionRateLimiter])
+groupChatRouter.use(middleware.authorize('groupChat'))
 sessionRouter.use(middleware.groupChatSwagger)
 routes.use('/groupChat', groupChatRouter)
 
@@ -179,7 +209,10 @@ groupChatRouter.post('/runMethod/:sessionId', [middleware.sessionNameValidation,
  * ================
  */
 const messageRouter = express.Router()
+messageRouter.use(middleware.audit('message'))
 messageRouter.use(middleware.apikey)
+messageRouter.use([middleware.keyRateLimiter, middleware.sessionRateLimiter])
+messageRouter.use(middleware.authorize('message'))
 sessionRouter.use(middleware.messageSwagger)
 routes.use('/message', messageRouter)
 
@@ -210,7 +243,10 @@ messageRouter.post('/runMethod/:sessionId', [middleware.sessionNameValidation, m
  * ================
  */
 const contactRouter = express.Router()
+contactRouter.use(middleware.audit('contact'))
 contactRouter.use(middleware.apikey)
+contactRouter.use([middleware.keyRateLimiter, middleware.sessionRateLimiter])
+contactRouter.use(middleware.authorize('contact'))
 sessionRouter.use(middleware.contactSwagger)
 routes.use('/contact', contactRouter)
 
@@ -230,7 +266,10 @@ contactRouter.post('/getCommonGroups/:sessionId', [middleware.sessionNameValidat
  * ================
  */
 const channelRouter = express.Router()
+channelRouter.use(middleware.audit('channel'))
 channelRouter.use(middleware.apikey)
+channelRouter.use([middleware.keyRateLimiter, middleware.sessionRateLimiter])
+channelRouter.use(middleware.authorize('channel'))
 sessionRouter.use(middleware.channelSwagger)
 routes.use('/channel', channelRouter)
 
@@ -252,6 +291,75 @@ channelRouter.post('/setSubject/:sessionId', [middleware.sessionNameValidation,
 channelRouter.post('/setReactionSetting/:sessionId', [middleware.sessionNameValidation, middleware.sessionValidation], channelController.setReactionSetting)
 channelRouter.post('/deleteChannel/:sessionId', [middleware.sessionNameValidation, middleware.sessionValidation], channelController.deleteChannel)
 
+/**
+ * ================
+ * WEBHOOK ENDPOINTS
+ * ================
+ */
+const webhookRouter = express.Router()
+webhookRouter.use(middleware.audit('webhooks'))
+webhookRouter.use(middleware.apikey)
+webhookRouter.use([middleware.keyRateLimiter, middleware.sessionRateLimiter])
+webhookRouter.use(middleware.authorize('webhooks'))
+webhookRouter.use(middleware.webhookSwagger)
+routes.use('/webhooks', webhookRouter)
+
+webhookRouter.get('/getDeadLetters/:sessionId', middleware.sessionNameValidation, webhookController.getDeadLetters)
+webhookRouter.get('/getDeadLetter/:sessionId/:deliveryId', middleware.sessionNameValidation, webhookController.getDeadLetter)
+webhookRouter.post('/replayDeadLetters/:sessionId', middleware.sessionNameValidation, webhookController.replayDeadLetters)
+webhookRouter.post('/purgeDeadLetters/:sessionId', middleware.sessionNameValidation, webhookController.purgeDeadLetters)
+webhookRouter.get('/getSubscriptions/:sessionId', middleware.sessionNameValidation, webhookController.getSubscriptions)
+webhookRouter.post('/createSubscription/:sessionId', middleware.sessionNameValidation, webhookController.createSubscription)
+webhookRouter.post('/updateSubscription/:sessionId/:subscriptionId', middleware.sessionNameValidation, webhookController.updateSubscription)
+webhookRouter.delete('/deleteSubscription/:sessionId/:subscriptionId', middleware.sessionNameValidation, webhookController.deleteSubscription)
+webhookRouter.get('/getDeliveryLog/:sessionId', middleware.sessionNameValidation, webhookController.getDeliveryLog)
+webhookRouter.get('/getDeliveryStats/:sessionId', middleware.sessionNameValidation, webhookController.getDeliveryStats)
+webhookRouter.get('/getCircuitBreakers/:sessionId', middleware.sessionNameValidation, webhookController.getCircuitBreakers)
+
+/**
+ * ================
+ * API KEY ENDPOINTS
+ * ================
+ */
+const apiKeyRouter = express.Router()
+apiKeyRouter.use(middleware.audit('apiKeys'))
+apiKeyRouter.use(middleware.apikey)
+apiKeyRouter.use(middleware.keyRateLimiter)
+// fora de ROUTE_SCOPES: só a API_KEY global gerencia keys
+apiKeyRouter.use(middleware.authorize('apiKeys'))
+apiKeyRouter.use(middleware.apiKeySwagger)
+routes.use('/apiKeys', apiKeyRouter)
+
+apiKeyRouter.get('/getKeys', apiKeyController.getApiKeys)
+apiKeyRouter.post('/createKey', apiKeyController.createApiKey)
+apiKeyRouter.post('/updateKey/:keyId', apiKeyController.updateApiKey)
+apiKeyRouter.post('/revokeKey/:keyId', apiKeyController.revokeApiKey)
+apiKeyRouter.post('/rotateKey/:keyId', apiKeyController.rotateApiKey)
+
+/**
+ * ================
+ * AUDIT ENDPOINTS
+ * ================
+ */
+const auditRouter = express.Router()
+auditRouter.use(middleware.apikey)
+auditRouter.use([middleware.keyRateLimiter, middleware.sessionRateLimiter])
+auditRouter.use(middleware.authorize('audit'))
+auditRouter.use(middleware.auditSwagger)
+routes.use('/audit', auditRouter)
+
+auditRouter.get('/getEntries', auditController.getEntries)
+auditRouter.get('/getEntries/:sessionId', middleware.sessionNameValidation, auditController.getEntries)
+
+/**
+ * ================
+ * MEDIA ENDPOINTS
+ * ================
+ */
+
+// Authorized by the signed URL sent in the media callback (no API key)
+routes.get('/media/download/:hash', [middleware.rateLimiter], mediaController.downloadStoredMedia)
+
 /**
  * ================
  * SWAGGER ENDPOINTS
@@ -0,0 +1,172 @@
+const EventEmitter = require('events')
+const { runMethodEnabled, runMethodAllow, runMethodDeny } = require('./config')
+
+// Nunca expostos pelo runMethod, independente da configuração: ciclo de vida do Client
+// (usar as rotas /session), envios (passariam por fora do limite de envios) e internos da lib (prefixo `_`)
+const BUILTIN_DENY = {
+  client: ['initialize', 'inject', 'destroy', 'logout', 'attachEventListeners', 'sendMessage'],
+  chat: ['sendMessage'],
+  groupChat: ['sendMessage'],
+  message: ['reply', 'forward']
+}
+// Métodos liberados quando RUN_METHOD_ALLOW_* não está definido: só leitura, com o formato do argumento.
+// null = sem argumento, 'string' = um id/texto, objeto = campos opcionais aceitos e seus tipos
+const CHAT_METHODS = {
+  fetchMessages: { limit: 'integer', fromMe: 'boolean' },
+  getContact: null,
+  getLabels: null
+}
+const METHOD_SCHEMAS = {
+  client: {
+    getState: null,
+    getWWebVersion: null,
+    getChats: null,
+    getContacts: null,
+    getLabels: null,
+    getBlockedContacts: null,
+    getBroadcasts: null,
+    getChatById: 'string',
+    getContactById: 'string',
+    getLabelById: 'string',
+    getChatsByLabelId: 'string',
+    getCommonGroups: 'string',
+    getProfilePicUrl: 'string',
+    getNumberId: 'string',
+    getFormattedNumber: 'string',
+    getCountryCode: 'string',
+    isRegisteredUser: 'string',
+    getInviteInfo: 'string'
+  },
+  chat: CHAT_METHODS,
+  groupChat: {
+    ...CHAT_METHODS,
+    getInviteCode: null,
+    getGroupMembershipRequests: null
+  },
+  message: {
+    getChat: null,
+    getContact: null,
+    getMentions: null,
+    getQuotedMessage: null,
+    getInfo: null,
+    getReactions: null
+  }
+}
+const OPTION_TYPES = {
+  integer: (value) => Number.isInteger(value) && value > 0,
+  boolean: (value) => typeof value === 'boolean'
+}
+const MAX_STRING_OPTION_LENGTH = 1000
+const METHOD_NAME_PATTERN = /^[a-zA-Z]\w{0,99}$/
+const FORBIDDEN_OPTION_KEYS = ['__proto__', 'constructor', 'prototype']
+const MAX_OPTIONS_DEPTH = 8
+
+// Profundidade dos options; -1 se houver valor que não seja JSON ou chave proibida
+const optionsDepth = (value, depth = 0) => {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    return depth
+  }
+  if (typeof value !== 'object' || depth >= MAX_OPTIONS_DEPTH) {
+    return -1
+  }
+  let max = depth
+  for (const key of Object.keys(value)) {
+    if (FORBIDDEN_OPTION_KEYS.includes(key)) {
+      return -1
+    }
+    const child = optionsDepth(value[key], depth + 1)
+    if (child < 0) {
+      return -1
+    }
+    max = Math.max(max, child)
+  }
+  return max
+}
+
+// Confere os options contra o formato declarado do método; retorna a mensagem de erro ou null
+const schemaError = (method, schema, options) => {
+  if (schema === null) {
+    return options === undefined ? null : `${method} does not take options`
+  }
+  if (schema === 'string') {
+    return typeof options === 'string' && options.length > 0 && options.length <= MAX_STRING_OPTION_LENGTH
+      ? null
+      : `options of ${method} must be a string of 1 to ${MAX_STRING_OPTION_LENGTH} characters`
+  }
+  if (options === undefined) {
+    return null
+  }
+  const fields = Object.entries(schema).map(([key, type]) => `${key} (${type})`).join(', ')
+  const invalid = `options of ${method} must be an object with only: ${fields}`
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    return invalid
+  }
+  for (const key of Object.keys(options)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, key) || !OPTION_TYPES[schema[key]](options[key])) {
+      return invalid
+    }
+  }
+  return null
+}
+
+/**
+ * Confere se o runMethod está habilitado e se o método e os options recebidos são aceitos para o tipo de objeto.
+ *
+ * @param {string} type - `client`, `chat`, `groupChat` ou `message`
+ * @param {Object} body - Corpo da requisição (`method`, `options`)
+ * @returns {{ status: number, error: string }|null} Erro a responder, ou null se permitido
+ */
+const checkRunMethod = (type, body) => {
+  if (!runMethodEnabled) {
+    return { status: 403, error: 'runMethod is disabled' }
+  }
+  const { method, options } = body || {}
+  if (typeof method !== 'string' || !METHOD_NAME_PATTERN.test(method)) {
+    return { status: 400, error: 'method must be the name of a public method' }
+  }
+  const schemas = METHOD_SCHEMAS[type]
+  const allow = runMethodAllow[type] || Object.keys(schemas)
+  if (BUILTIN_DENY[type].includes(method) || runMethodDeny[type].includes(method) || !(allow.includes('*') || allow.includes(method))) {
+    return { status: 403, error: `Method ${method} is not allowed on ${type}` }
+  }
+  if (Object.prototype.hasOwnProperty.call(schemas, method)) {
+    const error = schemaError(method, schemas[method], options)
+    return error ? { status: 400, error } : null
+  }
+  // Métodos liberados pelo operador sem formato conhecido: só a checagem genérica
+  if (options !== undefined && optionsDepth(options) < 0) {
+    return { status: 400, error: `options must be JSON data up to ${MAX_OPTIONS_DEPTH} levels deep, without __proto__, constructor or prototype keys` }
+  }
+  return null
+}
+
+// Só métodos declarados nas classes da lib; os de Object e EventEmitter (on, emit, removeAllListeners...) ficam de fora
+const isLibraryMethod = (target, method) => {
+  for (let proto = Object.getPrototypeOf(target); proto && proto !== Object.prototype && proto !== EventEmitter.prototype; proto = Object.getPrototypeOf(proto)) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, method)
+    if (descriptor) {
+      return typeof descriptor.value === 'function'
+    }
+  }
+  return false
+}
+
+/**
+ * Executa no objeto da lib o método já liberado por `checkRunMethod`.
+ *
+ * @param {Object} target - Client, Chat, GroupChat ou Message
+ * @param {string} method - Nome do método
+ * @param {*} [options] - Argumento único repassado ao método
+ * @returns {Promise<*>} Retorno do método
+ */
+const runMethodOn = async (target, method, options) => {
+  if (!isLibraryMethod(target, method)) {
+    throw new Error('Method is not implemented')
+  }
+  return options ? target[method](options) : target[method]()
+}
+
+module.exports = {
+  checkRunMethod,
+  runMethodOn
+}
@@ -0,0 +1,154 @@
+const {
+  sendSessionMaxPerMinute, sendSessionMinIntervalMs, sendSessionMaxPerDay,
+  sendChatMaxPerMinute, sendChatMinIntervalMs, sendChatMaxPerDay
+} = require('./config')
+
+const MINUTE_MS = 60000
+const DAY_MS = 24 * 60 * 60 * 1000
+// Estados de chats sem envio há mais de um dia não limitam mais nada e são descartados
+const SWEEP_INTERVAL_MS = 10 * MINUTE_MS
+
+// Limite diário por dia UTC: zera à meia-noite UTC
+const dayOf = (now) => Math.floor(now / DAY_MS)
+
+const newState = () => ({ recent: [], lastSentAt: 0, day: 0, sentToday: 0 })
+
+// Quanto falta (ms) para o estado aceitar mais um envio; 0 se aceita agora
+const waitFor = (state, limits, now) => {
+  state.recent = state.recent.filter(sentAt => sentAt > now - MINUTE_MS)
+  if (state.day !== dayOf(now)) {
+    state.day = dayOf(now)
+    state.sentToday = 0
+  }
+  if (limits.maxPerDay && state.sentToday >= limits.maxPerDay) {
+    return (state.day + 1) * DAY_MS - now
+  }
+  let wait = 0
+  if (limits.maxPerMinute && state.recent.length >= limits.maxPerMinute) {
+    wait = state.recent[state.recent.length - limits.maxPerMinute] + MINUTE_MS - now
+  }
+  if (limits.minIntervalMs && state.lastSentAt) {
+    wait = Math.max(wait, state.lastSentAt + limits.minIntervalMs - now)
+  }
+  return Math.max(0, wait)
+}
+
+const remaining = (state, limits) => ({
+  minute: limits.maxPerMinute ? Math.max(0, limits.maxPerMinute - state.recent.length) : null,
+  day: limits.maxPerDay ? Math.max(0, limits.maxPerDay - state.sentToday) : null
+})
+
+const minQuota = (a, b) => a === null ? b : b === null ? a : Math.min(a, b)
+
+const isEnabled = (limits) => Boolean(limits.maxPerMinute || limits.minIntervalMs || limits.maxPerDay)
+
+/**
+ * Cria um controle de envios por sessão e por chat de destino (mensagens por minuto, intervalo mínimo, limite diário).
+ * Valores 0 desativam o respectivo limite.
+ *
+ * @param {Object} limits - `session` e `chat`, cada um com `maxPerMinute`, `minIntervalMs`, `maxPerDay`
+ * @returns {{ reserve: Function }}
+ */
+const createSendThrottle = (limits) => {
+  const sessionStates = new Map()
+  const chatStates = new Map()
+  let lastSweep = Date.now()
+
+  const sweep = (now) => {
+    lastSweep = now
+    for (const [key, state] of chatStates) {
+      if (state.lastSentAt < now - DAY_MS) {
+        chatStates.delete(key)
+      }
+    }
+  }
+
+  const getState = (states, key) => {
+    let state = states.get(key)
+    if (!state) {
+      state = newState()
+      states.set(key, state)
+    }
+    return state
+  }
+
+  /**
+   * Reserva um envio: se os limites da sessão e do chat permitirem, o envio é contabilizado.
+   *
+   * @param {string} sessionId - Sessão que envia
+   * @param {string} [chatId] - Chat de destino
+   * @returns {{ allowed: boolean, retryAfterMs: number, remaining: { minute: number|null, day: number|null }, enabled: boolean }}
+   *   `remaining` é o menor saldo entre sessão e chat (null quando não há limite)
+   */
+  const reserve = (sessionId, chatId) => {
+    const sessionEnabled = isEnabled(limits.session)
+    const chatEnabled = Boolean(chatId) && isEnabled(limits.chat)
+    if (!sessionEnabled && !chatEnabled) {
+      return { allowed: true, retryAfterMs: 0, remaining: { minute: null, day: null }, enabled: false }
+    }
+    const now = Date.now()
+    if (now - lastSweep >= SWEEP_INTERVAL_MS) {
+      sweep(now)
+    }
+    const checks = []
+    if (sessionEnabled) {
+      checks.push({ state: getState(sessionStates, sessionId), limits: limits.session })
+    }
+    if (chatEnabled) {
+      checks.push({ state: getState(chatStates, `${sessionId}:${chatId}`), limits: limits.chat })
+    }
+    const retryAfterMs = Math.max(...checks.map(({ state, limits }) => waitFor(state, limits, now)))
+    const allowed = retryAfterMs === 0
+    if (allowed) {
+      for (const { state } of checks) {
+        state.recent.push(now)
+        state.lastSentAt = now
+        state.sentToday++
+      }
+    }
+    const quota = checks
+      .map(({ state, limits }) => remaining(state, limits))
+      .reduce((acc, item) => ({ minute: minQuota(acc.minute, item.minute), day: minQuota(acc.day, item.day) }))
+    return { allowed, retryAfterMs, remaining: quota, enabled: true }
+  }
+
+  return { reserve }
+}
+
+const sendThrottle = createSendThrottle({
+  session: { maxPerMinute: sendSessionMaxPerMinute, minIntervalMs: sendSessionMinIntervalMs, maxPerDay: sendSessionMaxPerDay },
+  chat: { maxPerMinute: sendChatMaxPerMinute, minIntervalMs: sendChatMinIntervalMs, maxPerDay: sendChatMaxPerDay }
+})
+
+/**
+ * Aplica o limite de envios da sessão/chat a uma requisição de envio: define os headers de saldo
+ * (`X-Send-Remaining-Minute`, `X-Send-Remaining-Day`) e, se recusado, `Retry-After`.
+ *
+ * @param {Object} res - Resposta Express (ou a resposta mínima dos comandos WebSocket)
+ * @param {string} sessionId - Sessão que envia
+ * @param {string} [chatId] - Chat de destino
+ * @returns {string|null} Mensagem de erro para responder com 429, ou null se o envio pode seguir
+ */
+const throttleSend = (res, sessionId, chatId) => {
+  const { allowed, retryAfterMs, remaining: quota, enabled } = sendThrottle.reserve(sessionId, typeof chatId === 'string' ? chatId : undefined)
+  if (!enabled) {
+    return null
+  }
+  if (quota.minute !== null) {
+    res.set('X-Send-Remaining-Minute', String(quota.minute))
+  }
+  if (quota.day !== null) {
+    res.set('X-Send-Remaining-Day', String(quota.day))
+  }
+  if (allowed) {
+    return null
+  }
+  const retryAfterSec = Math.ceil(retryAfterMs / 1000)
+  res.set('Retry-After', String(retryAfterSec))
+  return `Send limit reached for this session or chat, retry in ${retryAfterSec}s`
+}
+
+module.exports = {
+  createSendThrottle,
+  throttleSend
+}
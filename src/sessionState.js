@@ -0,0 +1,92 @@
+const { logger } = require('./logger')
+
+const SESSION_STATES = ['STARTING', 'WAITING_QR', 'PAIRING', 'AUTHENTICATING', 'READY', 'DISCONNECTED', 'RECOVERING', 'FAILED', 'STOPPED']
+
+// Transições aceitas a partir de cada estado; STOPPED e FAILED são alcançáveis de qualquer estado.
+// FAILED -> WAITING_QR/PAIRING/AUTHENTICATING/READY: client que continuou vivo depois da falha (auth_failure
+// seguido de um novo QR ou login, ou reconexão detectada pelo watchdog).
+// Sessões sem histórico (nunca iniciadas neste processo) estão em STOPPED.
+const TRANSITIONS = {
+  STOPPED: ['STARTING'],
+  STARTING: ['WAITING_QR', 'PAIRING', 'AUTHENTICATING', 'READY', 'RECOVERING', 'DISCONNECTED'],
+  WAITING_QR: ['PAIRING', 'AUTHENTICATING', 'READY', 'RECOVERING', 'DISCONNECTED'],
+  PAIRING: ['WAITING_QR', 'AUTHENTICATING', 'READY', 'RECOVERING', 'DISCONNECTED'],
+  AUTHENTICATING: ['READY', 'WAITING_QR', 'RECOVERING', 'DISCONNECTED'],
+  READY: ['AUTHENTICATING', 'RECOVERING', 'DISCONNECTED'],
+  DISCONNECTED: ['STARTING', 'WAITING_QR', 'RECOVERING', 'READY'],
+  RECOVERING: ['STARTING'],
+  FAILED: ['STARTING', 'RECOVERING', 'WAITING_QR', 'PAIRING', 'AUTHENTICATING', 'READY']
+}
+const ALWAYS_ALLOWED = ['STOPPED', 'FAILED']
+const MAX_HISTORY = 100
+
+// Estado atual e histórico (mais antigo primeiro) por sessão, em memória
+const machines = new Map()
+
+const getMachine = (sessionId) => {
+  let machine = machines.get(sessionId)
+  if (!machine) {
+    machine = { state: 'STOPPED', since: null, history: [] }
+    machines.set(sessionId, machine)
+  }
+  return machine
+}
+
+/**
+ * Move a sessão para um novo estado, registrando o motivo no histórico.
+ * Repetir o estado atual não gera transição; transições fora de TRANSITIONS são ignoradas.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {string} state - Um de SESSION_STATES
+ * @param {string} [reason] - Motivo (ex.: `qr`, `page_closed`, mensagem de erro)
+ * @returns {Object|null} A transição (`state`, `previousState`, `reason`, `timestamp`), ou null se não houve
+ */
+const transitionSession = (sessionId, state, reason) => {
+  const machine = getMachine(sessionId)
+  if (machine.state === state) {
+    return null
+  }
+  if (!ALWAYS_ALLOWED.includes(state) && !TRANSITIONS[machine.state].includes(state)) {
+    logger.warn({ sessionId, from: machine.state, to: state, reason }, 'Transição de estado da sessão ignorada')
+    return null
+  }
+  const transition = { state, previousState: machine.state, reason: reason || null, timestamp: Date.now() }
+  machine.state = state
+  machine.since = transition.timestamp
+  machine.history.push(transition)
+  if (machine.history.length > MAX_HISTORY) {
+    machine.history.shift()
+  }
+  logger.debug({ sessionId, ...transition }, 'Estado da sessão alterado')
+  return transition
+}
+
+/**
+ * Estado atual da sessão.
+ *
+ * @param {string} sessionId - Sessão
+ * @returns {{ state: string, since: number|null }}
+ */
+const getSessionState = (sessionId) => {
+  const { state, since } = machines.get(sessionId) || { state: 'STOPPED', since: null }
+  return { state, since }
+}
+
+/**
+ * Transições da sessão, mais recentes primeiro (até as últimas MAX_HISTORY).
+ *
+ * @param {string} sessionId - Sessão
+ * @param {number} [limit] - Quantidade máxima
+ * @returns {Object[]}
+ */
+const getSessionStateHistory = (sessionId, limit = MAX_HISTORY) => {
+  const history = machines.get(sessionId)?.history || []
+  return history.slice(-limit).reverse()
+}
+
+module.exports = {
+  SESSION_STATES,
+  transitionSession,
+  getSessionState,
+  getSessionStateHistory
+}
@@ -0,0 +1,274 @@
+const {
+  watchdogEnabled, watchdogIntervalMs, watchdogProbeTimeoutMs, watchdogMaxEventAgeMs,
+  watchdogFailureThreshold, watchdogRemediation
+} = require('./config')
+const { sessions, canRestart, recreateSession, reloadSession, setSessionState, emitSessionEvent, getLastEventAt } = require('./sessions')
+const { getSessionState } = require('./sessionState')
+const { logger } = require('./logger')
+
+const REMEDIATION_ACTIONS = ['reload_page', 'reload_session', 'restart', 'mark_failed']
+// Sessões aguardando QR, iniciando ou em recovery não são sondadas: não se espera que estejam conectadas.
+// FAILED com client ainda em memória continua sondada, sem remediação, para voltar a READY se reconectar sozinha
+const PROBED_STATES = ['READY', 'DISCONNECTED', 'FAILED']
+const PAGE_RELOAD_TIMEOUT_MS = 60000
+const MAX_REMEDIATIONS = 20
+// Ações do watchdog sobre as sessões; substituíveis por createWatchdog (testes)
+const SESSION_ACTIONS = { canRestart, recreateSession, reloadSession, setSessionState, emitSessionEvent }
+
+const withTimeout = (promise, ms, label) => {
+  let timer
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} timed out`)), ms)
+    })
+  ]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Sonda uma sessão: página avaliável, WhatsApp Web carregado, `getState` CONNECTED e idade do último evento.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {Object} client - Client da sessão
+ * @param {Object} options - `probeTimeoutMs`, `maxEventAgeMs` (0 não confere)
+ * @returns {Promise<{ healthy: boolean, classification: string|null, checks: Object }>}
+ *   `classification`: page_closed, page_unresponsive, web_not_loaded, state_unavailable, not_connected ou stale_events
+ */
+const probeSession = async (sessionId, client, { probeTimeoutMs, maxEventAgeMs }) => {
+  const checks = { pageResponsive: null, webLoaded: null, state: null, lastEventAgeMs: null }
+  const unhealthy = (classification) => ({ healthy: false, classification, checks })
+  if (!client.pupPage || client.pupPage.isClosed()) {
+    checks.pageResponsive = false
+    return unhealthy('page_closed')
+  }
+  checks.pageResponsive = await withTimeout(client.pupPage.evaluate('1'), probeTimeoutMs, 'evaluate').then(() => true, () => false)
+  if (!checks.pageResponsive) {
+    return unhealthy('page_unresponsive')
+  }
+  checks.webLoaded = await withTimeout(client.pupPage.evaluate("typeof window.Store !== 'undefined' && typeof window.WWebJS !== 'undefined'"), probeTimeoutMs, 'evaluate')
+    .then(loaded => loaded === true, () => false)
+  if (!checks.webLoaded) {
+    return unhealthy('web_not_loaded')
+  }
+  checks.state = await withTimeout(client.getState(), probeTimeoutMs, 'getState').catch(() => null)
+  if (!checks.state) {
+    return unhealthy('state_unavailable')
+  }
+  if (checks.state !== 'CONNECTED') {
+    return unhealthy('not_connected')
+  }
+  const lastActivity = getLastEventAt(sessionId) || getSessionState(sessionId).since
+  checks.lastEventAgeMs = lastActivity ? Date.now() - lastActivity : null
+  if (maxEventAgeMs && checks.lastEventAgeMs !== null && checks.lastEventAgeMs > maxEventAgeMs) {
+    return unhealthy('stale_events')
+  }
+  return { healthy: true, classification: null, checks }
+}
+
+/**
+ * Cria um watchdog que sonda periodicamente as sessões e, após `failureThreshold` sondagens falhas seguidas,
+ * aplica o próximo passo da escada de remediação. Uma sondagem saudável volta a escada ao início e tira de FAILED.
+ * `reload_session` e `restart` respeitam os limites de `canRestart`; negados, a sessão é marcada como FAILED.
+ *
+ * @param {Object} options - `intervalMs`, `probeTimeoutMs`, `maxEventAgeMs`, `failureThreshold`,
+ *   `remediation` (passos de REMEDIATION_ACTIONS em ordem)
+ * @param {Object} [actions] - Substitui `canRestart`, `recreateSession`, `reloadSession`, `setSessionState`
+ *   e `emitSessionEvent` do sessions.js
+ * @returns {{ start: Function, stop: Function, runCycle: Function, getReport: Function }}
+ */
+const createWatchdog = (options, actions = {}) => {
+  const { canRestart, recreateSession, reloadSession, setSessionState, emitSessionEvent } = { ...SESSION_ACTIONS, ...actions }
+  const ladder = options.remediation.filter(action => REMEDIATION_ACTIONS.includes(action))
+  const invalid = options.remediation.filter(action => !REMEDIATION_ACTIONS.includes(action))
+  if (invalid.length > 0) {
+    logger.error({ invalid }, 'Passos inválidos em WATCHDOG_REMEDIATION ignorados')
+  }
+  // Resultado da última sondagem e estado da escada por sessão
+  const records = new Map()
+  let timer = null
+  let lastCycle = { startedAt: null, finishedAt: null }
+
+  const getRecord = (sessionId) => {
+    let record = records.get(sessionId)
+    if (!record) {
+      record = { sessionId, status: null, classification: null, checks: null, checkedAt: null, durationMs: null, consecutiveFailures: 0, ladderStep: 0, remediations: [] }
+      records.set(sessionId, record)
+    }
+    return record
+  }
+
+  const markFailed = (sessionId, record) => {
+    logger.error({ sessionId, classification: record.classification, checks: record.checks }, 'Watchdog: sessão marcada como FAILED')
+    setSessionState(sessionId, 'FAILED', `watchdog:${record.classification}`)
+    emitSessionEvent(sessionId, 'session_unhealthy', {
+      classification: record.classification,
+      checks: record.checks,
+      remediations: record.remediations.map(({ action, result }) => ({ action, result }))
+    })
+    return 'marked_failed'
+  }
+
+  const remediate = async (sessionId, client, record) => {
+    const action = record.ladderStep < ladder.length ? ladder[record.ladderStep] : 'mark_failed'
+    record.ladderStep++
+    record.consecutiveFailures = 0
+    logger.warn({ sessionId, action, classification: record.classification }, 'Watchdog: aplicando remediação')
+    let result
+    try {
+      if (action === 'reload_page') {
+        await client.pupPage.reload({ waitUntil: 'load', timeout: PAGE_RELOAD_TIMEOUT_MS })
+        result = 'done'
+      } else if (action === 'reload_session' || action === 'restart') {
+        if (!canRestart(sessionId)) {
+          result = `restart_limit_reached, ${markFailed(sessionId, record)}`
+        } else if (action === 'reload_session') {
+          await reloadSession(sessionId)
+          result = 'done'
+        } else {
+          await recreateSession(sessionId, client, `watchdog:${record.classification}`)
+          result = 'done'
+        }
+      } else {
+        result = markFailed(sessionId, record)
+      }
+    } catch (error) {
+      logger.error({ sessionId, action, err: error }, 'Watchdog: falha na remediação')
+      result = `error: ${error.message}`
+    }
+    record.remediations.push({ action, classification: record.classification, result, at: Date.now() })
+    if (record.remediations.length > MAX_REMEDIATIONS) {
+      record.remediations.shift()
+    }
+  }
+
+  const checkSession = async (sessionId, client) => {
+    const record = getRecord(sessionId)
+    const { state } = getSessionState(sessionId)
+    if (!PROBED_STATES.includes(state)) {
+      record.status = 'skipped'
+      record.classification = null
+      record.checks = { sessionState: state }
+      record.checkedAt = Date.now()
+      record.durationMs = 0
+      return
+    }
+    const startedAt = Date.now()
+    const probe = await probeSession(sessionId, client, options)
+    record.status = probe.healthy ? 'healthy' : 'unhealthy'
+    record.classification = probe.classification
+    record.checks = probe.checks
+    record.checkedAt = startedAt
+    record.durationMs = Date.now() - startedAt
+    if (probe.healthy) {
+      record.consecutiveFailures = 0
+      record.ladderStep = 0
+      if (state === 'FAILED') {
+        logger.info({ sessionId }, 'Watchdog: sessão FAILED saudável de novo')
+        setSessionState(sessionId, 'READY', 'watchdog:recovered')
+      }
+      return
+    }
+    if (state === 'FAILED') {
+      // escada já esgotada: só registra a sondagem até a sessão reconectar ou ser parada
+      return
+    }
+    record.consecutiveFailures++
+    logger.warn({ sessionId, classification: probe.classification, consecutiveFailures: record.consecutiveFailures }, 'Watchdog: sessão não saudável')
+    if (record.consecutiveFailures >= options.failureThreshold) {
+      await remediate(sessionId, client, record)
+    }
+  }
+
+  /**
+   * Executa uma rodada: sonda cada sessão iniciada, uma por vez.
+   *
+   * @returns {Promise<void>}
+   */
+  const runCycle = async () => {
+    lastCycle = { startedAt: Date.now(), finishedAt: null }
+    for (const sessionId of records.keys()) {
+      if (!sessions.has(sessionId)) {
+        records.delete(sessionId)
+      }
+    }
+    for (const [sessionId, client] of [...sessions]) {
+      try {
+        await checkSession(sessionId, client)
+      } catch (error) {
+        logger.error({ sessionId, err: error }, 'Watchdog: falha ao verificar sessão')
+      }
+    }
+    lastCycle.finishedAt = Date.now()
+  }
+
+  const schedule = () => {
+    timer = setTimeout(async () => {
+      await runCycle()
+      if (timer) {
+        schedule()
+      }
+    }, options.intervalMs)
+    timer.unref()
+  }
+
+  const start = () => {
+    if (!timer) {
+      logger.info({ intervalMs: options.intervalMs, ladder }, 'Watchdog de sessões iniciado')
+      schedule()
+    }
+  }
+
+  const stop = () => {
+    clearTimeout(timer)
+    timer = null
+  }
+
+  /**
+   * Último resultado do watchdog.
+   *
+   * @param {string} [sessionId] - Só esta sessão
+   * @returns {Object} Sem sessionId: configuração, última rodada e todas as sessões; com sessionId: o registro ou null
+   */
+  const getReport = (sessionId) => {
+    const copy = (record) => ({ ...record, remediations: record.remediations.map(item => ({ ...item })) })
+    if (sessionId !== undefined) {
+      return records.has(sessionId) ? copy(records.get(sessionId)) : null
+    }
+    return {
+      enabled: Boolean(timer),
+      intervalMs: options.intervalMs,
+      failureThreshold: options.failureThreshold,
+      remediation: ladder,
+      lastCycle: { ...lastCycle },
+      sessions: [...records.values()].map(copy)
+    }
+  }
+
+  return { start, stop, runCycle, getReport }
+}
+
+const watchdog = createWatchdog({
+  intervalMs: watchdogIntervalMs,
+  probeTimeoutMs: watchdogProbeTimeoutMs,
+  maxEventAgeMs: watchdogMaxEventAgeMs,
+  failureThreshold: watchdogFailureThreshold,
+  remediation: watchdogRemediation
+})
+
+/**
+ * Inicia o watchdog padrão se WATCHDOG_ENABLED.
+ *
+ * @returns {void}
+ */
+const startWatchdog = () => {
+  if (watchdogEnabled) {
+    watchdog.start()
+  }
+}
+
+module.exports = {
+  createWatchdog,
+  startWatchdog,
+  stopWatchdog: watchdog.stop,
+  getWatchdogReport: watchdog.getReport
+}
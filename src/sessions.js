@@ -5,8 +5,18 @@ const sessions = new Map()
 const pendingSessions = new Set()
 const sessionLocks = new Map()
 const restartAttempts = new Map()
-const { baseWebhookURL, sessionFolderPath, maxAttachmentSize, setMessagesAsSeen, webVersion, webVersionCacheType, recoverSessions, chromeBin, headless, releaseBrowserLock, clientInitializeMaxRetries, clientInitializeRetryBaseMs, puppeteerProtocolTimeoutMs, wipeSessionDataAfterInitFailure, wwebjsBrowserMarker } = require('./config')
+// Dados de execução por sessão para a listagem detalhada: início, último change_state, erro da última inicialização
+const sessionRuntime = new Map()
+const diskUsageCache = new Map()
+const { baseWebhookURL, sessionFolderPath, maxAttachmentSize, setMessagesAsSeen, webVersion, webVersionCacheType, recoverSessions, chromeBin, headless, releaseBrowserLock, clientInitializeMaxRetries, clientInitializeRetryBaseMs, puppeteerProtocolTimeoutMs, wipeSessionDataAfterInitFailure, wwebjsBrowserMarker, webhookPayloadFormat, sessionRestoreConcurrency, sessionRestoreStaggerMs } = require('./config')
 const { triggerWebhook, waitForNestedObject, isEventEnabled, sendMessageSeenStatus, sleep, patchWWebLibrary } = require('./utils')
+const { getMatchingSubscriptions } = require('./webhookSubscriptions')
+const { purgeSessionOutbox } = require('./webhookOutbox')
+const { SCHEMA_VERSION, normalizeEventData } = require('./webhookPayload')
+const { offloadMedia } = require('./mediaStore')
+const { recordEvent } = require('./eventLog')
+const { getSessionConfig, parseProxy } = require('./sessionConfig')
+const { transitionSession, getSessionState } = require('./sessionState')
 
 const isTransientPuppeteerInitializeError = (err) => {
   const msg = err && err.message ? err.message : String(err)
@@ -24,10 +34,16 @@ const isTransientPuppeteerInitializeError = (err) => {
 }
 const { logger } = require('./logger')
 const { initWebSocketServer, terminateWebSocketServer, triggerWebSocket } = require('./websocket')
+const { triggerEventStream } = require('./eventStream')
 
 const MAX_RESTART_ATTEMPTS = 3
 const RESTART_COOLDOWN_MS = 30000
 const RESTART_RESET_MS = 120000
+const DISK_USAGE_CACHE_MS = 60000
+
+const updateRuntime = (sessionId, changes) => {
+  sessionRuntime.set(sessionId, { ...sessionRuntime.get(sessionId), ...changes })
+}
 
 const ensureSessionDirectory = async () => {
   await fs.promises.mkdir(sessionFolderPath, { recursive: true })
@@ -214,26 +230,104 @@ const validateSession = async (sessionId) => {
   }
 }
 
-// Function to handle client session restoration
-const restoreSessions = () => {
+// Progresso da restauração do boot, consultado via API
+const restoreProgress = { status: 'idle', startedAt: null, finishedAt: null, concurrency: sessionRestoreConcurrency, staggerMs: sessionRestoreStaggerMs, sessions: [] }
+
+/**
+ * Progresso da restauração das sessões no boot: status geral, contagem por status e cada sessão na ordem de início.
+ *
+ * @returns {Object}
+ */
+const getRestoreProgress = () => {
+  const counts = { queued: 0, starting: 0, started: 0, failed: 0, skipped: 0 }
+  for (const item of restoreProgress.sessions) {
+    counts[item.status]++
+  }
+  return {
+    status: restoreProgress.status,
+    startedAt: restoreProgress.startedAt,
+    finishedAt: restoreProgress.finishedAt,
+    concurrency: restoreProgress.concurrency,
+    staggerMs: restoreProgress.staggerMs,
+    total: restoreProgress.sessions.length,
+    ...counts,
+    sessions: restoreProgress.sessions.map(item => ({ ...item }))
+  }
+}
+
+/**
+ * Restaura as sessões existentes em disco: ordem por `priority` da configuração da sessão (maior primeiro),
+ * até `concurrency` ao mesmo tempo, com `staggerMs` entre dois lançamentos do Chrome.
+ * Uma chamada durante outra restauração em andamento é ignorada.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Padrão SESSION_RESTORE_CONCURRENCY
+ * @param {number} [options.staggerMs] - Padrão SESSION_RESTORE_STAGGER_MS
+ * @param {Function} [options.setup] - Inicia uma sessão; padrão setupSession (substituível nos testes)
+ * @returns {Promise<void>}
+ */
+const restoreSessions = async ({ concurrency = sessionRestoreConcurrency, staggerMs = sessionRestoreStaggerMs, setup = setupSession } = {}) => {
+  if (restoreProgress.status === 'running') {
+    logger.warn('Restauração de sessões já em andamento; chamada ignorada')
+    return
+  }
+  // marcado antes do primeiro await para que uma segunda chamada já veja a restauração em andamento
+  restoreProgress.status = 'running'
+  restoreProgress.startedAt = Date.now()
+  restoreProgress.finishedAt = null
+  restoreProgress.concurrency = concurrency
+  restoreProgress.staggerMs = staggerMs
+  restoreProgress.sessions = []
   try {
-    if (!fs.existsSync(sessionFolderPath)) {
-      fs.mkdirSync(sessionFolderPath) // Create the session directory if it doesn't exist
-    }
-    // Read the contents of the folder
-    fs.readdir(sessionFolderPath, async (_, files) => {
-      // Iterate through the files in the parent folder
-      for (const file of files) {
-        // Use regular expression to extract the string from the folder name
-        const match = file.match(/^session-(.+)$/)
-        if (match) {
-          const sessionId = match[1]
-          logger.warn({ sessionId }, 'Existing session detected')
-          await setupSession(sessionId)
-        }
+    await ensureSessionDirectory()
+    const files = await fs.promises.readdir(sessionFolderPath)
+    const candidates = files
+      .map(file => file.match(/^session-(.+)$/))
+      .filter(Boolean)
+      .map(match => {
+        const { priority, autoStart } = getSessionConfig(match[1])
+        return { sessionId: match[1], priority, autoStart }
+      })
+      .sort((a, b) => b.priority - a.priority)
+    restoreProgress.sessions = candidates.map(({ sessionId, priority, autoStart }) => ({
+      sessionId,
+      priority,
+      status: autoStart ? 'queued' : 'skipped',
+      startedAt: null,
+      finishedAt: null,
+      error: null
+    }))
+    for (const item of restoreProgress.sessions.filter(item => item.status === 'skipped')) {
+      logger.info({ sessionId: item.sessionId }, 'Existing session detected, not started (autoStart disabled)')
+    }
+    const queue = restoreProgress.sessions.filter(item => item.status === 'queued')
+    logger.info({ total: queue.length, skipped: restoreProgress.sessions.length - queue.length, concurrency }, 'Restaurando sessões existentes')
+
+    let nextLaunchAt = 0
+    const worker = async () => {
+      for (let item = queue.shift(); item; item = queue.shift()) {
+        // reserva o horário de lançamento antes de esperar, para que os workers não lancem juntos
+        const launchAt = Math.max(Date.now(), nextLaunchAt)
+        nextLaunchAt = launchAt + staggerMs
+        await sleep(launchAt - Date.now())
+        item.status = 'starting'
+        item.startedAt = Date.now()
+        logger.warn({ sessionId: item.sessionId, priority: item.priority }, 'Existing session detected')
+        const result = await setup(item.sessionId, { reason: 'restore' })
+        item.finishedAt = Date.now()
+        // "already exists/in progress": iniciada por outra via (API) durante o boot
+        item.status = result.success || sessions.has(item.sessionId) || pendingSessions.has(item.sessionId) ? 'started' : 'failed'
+        item.error = item.status === 'failed' ? result.message : null
       }
-    })
+    }
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker))
+    restoreProgress.status = 'done'
+    restoreProgress.finishedAt = Date.now()
+    const { total, started, failed, skipped } = getRestoreProgress()
+    logger.info({ total, started, failed, skipped }, 'Restauração de sessões concluída')
   } catch (error) {
+    restoreProgress.status = 'failed'
+    restoreProgress.finishedAt = Date.now()
     logger.error(error, 'Failed to restore sessions')
   }
 }
@@ -268,6 +362,8 @@ const setupSession = async (sessionId, setupOptions = {}) => {
 
     pendingSessions.add(sessionId)
     pendingSessionRegistered = true
+    updateRuntime(sessionId, { startedAt: null, lastState: null, lastEventAt: null })
+    setSessionState(sessionId, 'STARTING', setupOptions.reason || 'start')
     logger.info({ sessionId, resetDataRetryExhausted }, 'Session is being initiated')
     // Disable delete folder from logout function (handled separately)
     const localAuth = new LocalAuth({ clientId: sessionId, dataPath: sessionFolderPath })
@@ -324,13 +420,24 @@ const setupSession = async (sessionId, setupOptions = {}) => {
       authStrategy: localAuth
     }
 
+    // webVersion e proxy da configuração da sessão valem a partir deste início
+    const sessionConfig = getSessionConfig(sessionId)
+    if (sessionConfig.proxy) {
+      const proxy = parseProxy(sessionConfig.proxy)
+      clientOptions.puppeteer.args.push(`--proxy-server=${proxy.server}`)
+      if (proxy.username) {
+        clientOptions.proxyAuthentication = { username: proxy.username, password: proxy.password }
+      }
+    }
+
     if (clientOptions.puppeteer?.userDataDir) {
       delete clientOptions.puppeteer.userDataDir
       logger.warn({ sessionId }, 'Ignoring custom puppeteer userDataDir because LocalAuth is enabled')
     }
 
-    if (webVersion) {
-      clientOptions.webVersion = webVersion
+    const sessionWebVersion = sessionConfig.webVersion || webVersion
+    if (sessionWebVersion) {
+      clientOptions.webVersion = sessionWebVersion
       switch (webVersionCacheType.toLowerCase()) {
         case 'local':
           clientOptions.webVersionCache = {
@@ -340,7 +447,7 @@ const setupSession = async (sessionId, setupOptions = {}) => {
         case 'remote':
           clientOptions.webVersionCache = {
             type: 'remote',
-            remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/' + webVersion + '.html'
+            remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/' + sessionWebVersion + '.html'
           }
           break
         default:
@@ -384,6 +491,7 @@ const setupSession = async (sessionId, setupOptions = {}) => {
         }
         restartAttempts.delete(sessionId)
         sessions.set(sessionId, client)
+        updateRuntime(sessionId, { startedAt: Date.now(), lastError: null })
         const payload = { success: true, message: 'Session initiated successfully', client }
         if (resetDataRetryExhausted) {
           payload.sessionDataReset = true
@@ -416,15 +524,19 @@ const setupSession = async (sessionId, setupOptions = {}) => {
       // Libera o estado pendente antes do retry recursivo para evitar falso "already in progress".
       pendingSessions.delete(sessionId)
       pendingSessionRegistered = false
-      const retryResult = await setupSession(sessionId, { resetDataRetryExhausted: true })
+      const retryResult = await setupSession(sessionId, { resetDataRetryExhausted: true, reason: 'reset_data_retry' })
       if (retryResult.success) {
         return retryResult
       }
       return { success: false, message: retryResult.message || (lastError && lastError.message) || 'session init failed', client: null }
     }
 
+    updateRuntime(sessionId, { lastError: { message: lastError ? lastError.message : 'session init failed', at: Date.now() } })
+    setSessionState(sessionId, 'FAILED', lastError ? lastError.message : 'session init failed')
     return { success: false, message: lastError ? lastError.message : 'session init failed', client: null }
   } catch (error) {
+    updateRuntime(sessionId, { lastError: { message: error.message, at: Date.now() } })
+    setSessionState(sessionId, 'FAILED', error.message)
     return { success: false, message: error.message, client: null }
   } finally {
     if (pendingSessionRegistered) {
@@ -433,34 +545,98 @@ const setupSession = async (sessionId, setupOptions = {}) => {
   }
 }
 
+// O webhook padrão, o WebSocket e o SSE respeitam DISABLED_CALLBACKS; as assinaturas da sessão têm filtro próprio,
+// consultado a cada evento para que alterações via API valham sem reiniciar o client
+const emitSessionEvent = (sessionId, dataType, data, { enabled = isEventEnabled(dataType) } = {}) => {
+  // payload normalizado calculado uma vez por evento e só se algum destino pedir esse formato
+  let normalized
+  const payloadFor = (format) => {
+    if (format !== 'normalized') {
+      return { data }
+    }
+    if (normalized === undefined) {
+      normalized = normalizeEventData(data)
+    }
+    return { data: normalized, schemaVersion: SCHEMA_VERSION }
+  }
+  // só eventos habilitados entram na sequência de replay, a mesma vista pelo WebSocket
+  const eventId = enabled ? recordEvent(sessionId, dataType, data) : undefined
+  if (enabled) {
+    // configuração da sessão lida a cada evento: alterações via API valem sem reiniciar o client
+    const { webhook } = getSessionConfig(sessionId)
+    if (webhook.enabled) {
+      // check if the session webhook is overridden
+      const sessionWebhook = webhook.url || process.env[sessionId.toUpperCase() + '_WEBHOOK_URL'] || baseWebhookURL
+      const payload = payloadFor(webhook.format || webhookPayloadFormat)
+      triggerWebhook(sessionWebhook, sessionId, dataType, payload.data, { schemaVersion: payload.schemaVersion, eventId })
+    }
+    triggerWebSocket(sessionId, dataType, data, eventId)
+    triggerEventStream(sessionId, dataType, data, eventId)
+  }
+  for (const subscription of getMatchingSubscriptions(sessionId, dataType)) {
+    const payload = payloadFor(subscription.format)
+    triggerWebhook(subscription.url, sessionId, dataType, payload.data, { subscriptionId: subscription.id, headers: subscription.headers, schemaVersion: payload.schemaVersion, eventId })
+  }
+}
+
+// Toda mudança de estado da sessão vira um evento session_state (webhook, WebSocket, SSE e assinaturas)
+const setSessionState = (sessionId, state, reason) => {
+  const transition = transitionSession(sessionId, state, reason)
+  if (transition) {
+    emitSessionEvent(sessionId, 'session_state', transition)
+  }
+}
+
+/**
+ * Recria o client da sessão (destroy, kill do Chrome e setupSession) sob o lock da sessão.
+ * Usado pelo recovery automático e pelo watchdog; não consulta `canRestart`, o chamador decide.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {Object} client - Client atual
+ * @param {string} reason - Motivo registrado na transição para RECOVERING
+ * @returns {Promise<void>}
+ */
+const recreateSession = async (sessionId, client, reason) => {
+  await acquireSessionLock(sessionId)
+  try {
+    setSessionState(sessionId, 'RECOVERING', reason)
+    // sem os listeners de recovery o destroy abaixo não dispara um segundo restart
+    client.pupPage?.removeAllListeners('close')
+    client.pupPage?.removeAllListeners('error')
+    sessions.delete(sessionId)
+    pendingSessions.delete(sessionId)
+    await client.destroy().catch(() => { })
+    await killBrowserProcess(client, sessionId)
+    await new Promise(resolve => setTimeout(resolve, 2000))
+    await setupSession(sessionId, { reason: 'recovery' })
+  } catch (e) {
+    logger.error({ sessionId, err: e }, 'Recovery failed')
+  } finally {
+    releaseSessionLock(sessionId)
+  }
+}
+
 const initializeEvents = (client, sessionId) => {
-  // check if the session webhook is overridden
-  const sessionWebhook = process.env[sessionId.toUpperCase() + '_WEBHOOK_URL'] || baseWebhookURL
+  const emitEvent = (dataType, data, options) => {
+    updateRuntime(sessionId, { lastEventAt: Date.now() })
+    emitSessionEvent(sessionId, dataType, data, options)
+  }
+  const isEventWanted = (dataType, enabled = isEventEnabled(dataType)) =>
+    enabled || getMatchingSubscriptions(sessionId, dataType).length > 0
 
   if (recoverSessions) {
     waitForNestedObject(client, 'pupPage').then(() => {
       const safeRestartSession = async (sessionId, reason) => {
         if (!canRestart(sessionId)) {
           logger.error({ sessionId, reason }, 'Recovery aborted: restart limit reached or cooldown active')
+          setSessionState(sessionId, 'FAILED', 'restart_limit_reached')
           sessions.delete(sessionId)
           pendingSessions.delete(sessionId)
           await killBrowserProcess(client, sessionId)
           return
         }
 
-        await acquireSessionLock(sessionId)
-        try {
-          sessions.delete(sessionId)
-          pendingSessions.delete(sessionId)
-          await client.destroy().catch(() => { })
-          await killBrowserProcess(client, sessionId)
-          await new Promise(resolve => setTimeout(resolve, 2000))
-          await setupSession(sessionId)
-        } catch (e) {
-          logger.error({ sessionId, err: e }, 'Recovery failed')
-        } finally {
-          releaseSessionLock(sessionId)
-        }
+        await recreateSession(sessionId, client, reason)
       }
 
       client.pupPage.once('close', function () {
@@ -488,224 +664,153 @@ const initializeEvents = (client, sessionId) => {
     }).catch(e => { })
   }
 
-  if (isEventEnabled('auth_failure')) {
-    client.on('auth_failure', (msg) => {
-      triggerWebhook(sessionWebhook, sessionId, 'status', { msg })
-      triggerWebSocket(sessionId, 'status', { msg })
-    })
-  }
+  client.on('auth_failure', (msg) => {
+    setSessionState(sessionId, 'FAILED', 'auth_failure')
+    emitEvent('status', { msg }, { enabled: isEventEnabled('auth_failure') })
+  })
 
   client.on('authenticated', () => {
     client.qr = null
-    if (isEventEnabled('authenticated')) {
-      triggerWebhook(sessionWebhook, sessionId, 'authenticated')
-      triggerWebSocket(sessionId, 'authenticated')
-    }
+    setSessionState(sessionId, 'AUTHENTICATING', 'authenticated')
+    emitEvent('authenticated')
   })
 
-  if (isEventEnabled('call')) {
-    client.on('call', (call) => {
-      triggerWebhook(sessionWebhook, sessionId, 'call', { call })
-      triggerWebSocket(sessionId, 'call', { call })
-    })
-  }
+  client.on('call', (call) => {
+    emitEvent('call', { call })
+  })
 
-  if (isEventEnabled('change_state')) {
-    client.on('change_state', state => {
-      triggerWebhook(sessionWebhook, sessionId, 'change_state', { state })
-      triggerWebSocket(sessionId, 'change_state', { state })
-    })
-  }
+  client.on('change_state', state => {
+    updateRuntime(sessionId, { lastState: { state, at: Date.now() } })
+    emitEvent('change_state', { state })
+  })
 
-  if (isEventEnabled('disconnected')) {
-    client.on('disconnected', (reason) => {
-      triggerWebhook(sessionWebhook, sessionId, 'disconnected', { reason })
-      triggerWebSocket(sessionId, 'disconnected', { reason })
-    })
-  }
+  client.on('disconnected', (reason) => {
+    setSessionState(sessionId, 'DISCONNECTED', typeof reason === 'string' ? reason : 'disconnected')
+    emitEvent('disconnected', { reason })
+  })
 
-  if (isEventEnabled('group_join')) {
-    client.on('group_join', (notification) => {
-      triggerWebhook(sessionWebhook, sessionId, 'group_join', { notification })
-      triggerWebSocket(sessionId, 'group_join', { notification })
-    })
-  }
+  client.on('group_join', (notification) => {
+    emitEvent('group_join', { notification })
+  })
 
-  if (isEventEnabled('group_leave')) {
-    client.on('group_leave', (notification) => {
-      triggerWebhook(sessionWebhook, sessionId, 'group_leave', { notification })
-      triggerWebSocket(sessionId, 'group_leave', { notification })
-    })
-  }
+  client.on('group_leave', (notification) => {
+    emitEvent('group_leave', { notification })
+  })
 
-  if (isEventEnabled('group_admin_changed')) {
-    client.on('group_admin_changed', (notification) => {
-      triggerWebhook(sessionWebhook, sessionId, 'group_admin_changed', { notification })
-      triggerWebSocket(sessionId, 'group_admin_changed', { notification })
-    })
-  }
+  client.on('group_admin_changed', (notification) => {
+    emitEvent('group_admin_changed', { notification })
+  })
 
-  if (isEventEnabled('group_membership_request')) {
-    client.on('group_membership_request', (notification) => {
-      triggerWebhook(sessionWebhook, sessionId, 'group_membership_request', { notification })
-      triggerWebSocket(sessionId, 'group_membership_request', { notification })
-    })
-  }
+  client.on('group_membership_request', (notification) => {
+    emitEvent('group_membership_request', { notification })
+  })
 
-  if (isEventEnabled('group_update')) {
-    client.on('group_update', (notification) => {
-      triggerWebhook(sessionWebhook, sessionId, 'group_update', { notification })
-      triggerWebSocket(sessionId, 'group_update', { notification })
-    })
-  }
+  client.on('group_update', (notification) => {
+    emitEvent('group_update', { notification })
+  })
 
-  if (isEventEnabled('loading_screen')) {
-    client.on('loading_screen', (percent, message) => {
-      triggerWebhook(sessionWebhook, sessionId, 'loading_screen', { percent, message })
-      triggerWebSocket(sessionId, 'loading_screen', { percent, message })
-    })
-  }
+  client.on('loading_screen', (percent, message) => {
+    emitEvent('loading_screen', { percent, message })
+  })
 
-  if (isEventEnabled('media_uploaded')) {
-    client.on('media_uploaded', (message) => {
-      triggerWebhook(sessionWebhook, sessionId, 'media_uploaded', { message })
-      triggerWebSocket(sessionId, 'media_uploaded', { message })
-    })
-  }
+  client.on('media_uploaded', (message) => {
+    emitEvent('media_uploaded', { message })
+  })
 
   client.on('message', async (message) => {
-    if (isEventEnabled('message')) {
-      triggerWebhook(sessionWebhook, sessionId, 'message', { message })
-      triggerWebSocket(sessionId, 'message', { message })
-      if (message.hasMedia && message._data?.size < maxAttachmentSize) {
-      // custom service event
-        if (isEventEnabled('media')) {
-          message.downloadMedia().then(messageMedia => {
-            triggerWebhook(sessionWebhook, sessionId, 'media', { messageMedia, message })
-            triggerWebSocket(sessionId, 'media', { messageMedia, message })
-          }).catch(error => {
-            logger.error({ sessionId, err: error }, 'Failed to download media')
-          })
-        }
-      }
+    emitEvent('message', { message })
+    const { mediaDownload, setMessagesAsSeen: sessionSetMessagesAsSeen } = getSessionConfig(sessionId)
+    // custom service event: no webhook padrão continua exigindo 'message' e 'media' habilitados
+    const mediaEnabled = isEventEnabled('message') && isEventEnabled('media')
+    const mediaMaxSize = mediaDownload.maxSize || maxAttachmentSize
+    if (mediaDownload.enabled && message.hasMedia && message._data?.size < mediaMaxSize && isEventWanted('media', mediaEnabled)) {
+      message.downloadMedia().then(async messageMedia => {
+        // com MEDIA_STORE configurado o base64 vai para o store e o evento leva a URL assinada
+        const media = await offloadMedia(messageMedia).catch(error => {
+          logger.error({ sessionId, err: error }, 'Falha ao gravar mídia no store; enviando inline')
+          return messageMedia
+        })
+        emitEvent('media', { messageMedia: media, message }, { enabled: mediaEnabled })
+      }).catch(error => {
+        logger.error({ sessionId, err: error }, 'Failed to download media')
+      })
     }
-    if (setMessagesAsSeen) {
+    if (sessionSetMessagesAsSeen ?? setMessagesAsSeen) {
       // small delay to ensure the message is processed before sending seen status
       await sleep(1000)
       sendMessageSeenStatus(message)
     }
   })
 
-  if (isEventEnabled('message_ack')) {
-    client.on('message_ack', (message, ack) => {
-      triggerWebhook(sessionWebhook, sessionId, 'message_ack', { message, ack })
-      triggerWebSocket(sessionId, 'message_ack', { message, ack })
-    })
-  }
+  client.on('message_ack', (message, ack) => {
+    emitEvent('message_ack', { message, ack })
+  })
 
-  if (isEventEnabled('message_create')) {
-    client.on('message_create', (message) => {
-      triggerWebhook(sessionWebhook, sessionId, 'message_create', { message })
-      triggerWebSocket(sessionId, 'message_create', { message })
-    })
-  }
+  client.on('message_create', (message) => {
+    emitEvent('message_create', { message })
+  })
 
-  if (isEventEnabled('message_reaction')) {
-    client.on('message_reaction', (reaction) => {
-      triggerWebhook(sessionWebhook, sessionId, 'message_reaction', { reaction })
-      triggerWebSocket(sessionId, 'message_reaction', { reaction })
-    })
-  }
+  client.on('message_reaction', (reaction) => {
+    emitEvent('message_reaction', { reaction })
+  })
 
-  if (isEventEnabled('message_edit')) {
-    client.on('message_edit', (message, newBody, prevBody) => {
-      triggerWebhook(sessionWebhook, sessionId, 'message_edit', { message, newBody, prevBody })
-      triggerWebSocket(sessionId, 'message_edit', { message, newBody, prevBody })
-    })
-  }
+  client.on('message_edit', (message, newBody, prevBody) => {
+    emitEvent('message_edit', { message, newBody, prevBody })
+  })
 
-  if (isEventEnabled('message_ciphertext')) {
-    client.on('message_ciphertext', (message) => {
-      triggerWebhook(sessionWebhook, sessionId, 'message_ciphertext', { message })
-      triggerWebSocket(sessionId, 'message_ciphertext', { message })
-    })
-  }
+  client.on('message_ciphertext', (message) => {
+    emitEvent('message_ciphertext', { message })
+  })
 
-  if (isEventEnabled('message_revoke_everyone')) {
-    client.on('message_revoke_everyone', (message) => {
-      triggerWebhook(sessionWebhook, sessionId, 'message_revoke_everyone', { message })
-      triggerWebSocket(sessionId, 'message_revoke_everyone', { message })
-    })
-  }
+  client.on('message_revoke_everyone', (message) => {
+    emitEvent('message_revoke_everyone', { message })
+  })
 
-  if (isEventEnabled('message_revoke_me')) {
-    client.on('message_revoke_me', (message, revokedMsg) => {
-      triggerWebhook(sessionWebhook, sessionId, 'message_revoke_me', { message, revokedMsg })
-      triggerWebSocket(sessionId, 'message_revoke_me', { message, revokedMsg })
-    })
-  }
+  client.on('message_revoke_me', (message, revokedMsg) => {
+    emitEvent('message_revoke_me', { message, revokedMsg })
+  })
 
   client.on('qr', (qr) => {
     // inject qr code into session
     client.qr = qr
-    if (isEventEnabled('qr')) {
-      triggerWebhook(sessionWebhook, sessionId, 'qr', { qr })
-      triggerWebSocket(sessionId, 'qr', { qr })
-    }
+    setSessionState(sessionId, 'WAITING_QR', 'qr')
+    emitEvent('qr', { qr })
   })
 
-  if (isEventEnabled('ready')) {
-    client.on('ready', () => {
-      triggerWebhook(sessionWebhook, sessionId, 'ready')
-      triggerWebSocket(sessionId, 'ready')
-    })
-  }
+  client.on('ready', () => {
+    setSessionState(sessionId, 'READY', 'ready')
+    emitEvent('ready')
+  })
 
-  if (isEventEnabled('contact_changed')) {
-    client.on('contact_changed', (message, oldId, newId, isContact) => {
-      triggerWebhook(sessionWebhook, sessionId, 'contact_changed', { message, oldId, newId, isContact })
-      triggerWebSocket(sessionId, 'contact_changed', { message, oldId, newId, isContact })
-    })
-  }
+  client.on('contact_changed', (message, oldId, newId, isContact) => {
+    emitEvent('contact_changed', { message, oldId, newId, isContact })
+  })
 
-  if (isEventEnabled('chat_removed')) {
-    client.on('chat_removed', (chat) => {
-      triggerWebhook(sessionWebhook, sessionId, 'chat_removed', { chat })
-      triggerWebSocket(sessionId, 'chat_removed', { chat })
-    })
-  }
+  client.on('chat_removed', (chat) => {
+    emitEvent('chat_removed', { chat })
+  })
 
-  if (isEventEnabled('chat_archived')) {
-    client.on('chat_archived', (chat, currState, prevState) => {
-      triggerWebhook(sessionWebhook, sessionId, 'chat_archived', { chat, currState, prevState })
-      triggerWebSocket(sessionId, 'chat_archived', { chat, currState, prevState })
-    })
-  }
+  client.on('chat_archived', (chat, currState, prevState) => {
+    emitEvent('chat_archived', { chat, currState, prevState })
+  })
 
-  if (isEventEnabled('unread_count')) {
-    client.on('unread_count', (chat) => {
-      triggerWebhook(sessionWebhook, sessionId, 'unread_count', { chat })
-      triggerWebSocket(sessionId, 'unread_count', { chat })
-    })
-  }
+  client.on('unread_count', (chat) => {
+    emitEvent('unread_count', { chat })
+  })
 
-  if (isEventEnabled('vote_update')) {
-    client.on('vote_update', (vote) => {
-      triggerWebhook(sessionWebhook, sessionId, 'vote_update', { vote })
-      triggerWebSocket(sessionId, 'vote_update', { vote })
-    })
-  }
+  client.on('vote_update', (vote) => {
+    emitEvent('vote_update', { vote })
+  })
 
-  if (isEventEnabled('code')) {
-    client.on('code', (code) => {
-      triggerWebhook(sessionWebhook, sessionId, 'code', { code })
-      triggerWebSocket(sessionId, 'code', { code })
-    })
-  }
+  client.on('code', (code) => {
+    setSessionState(sessionId, 'PAIRING', 'pairing_code')
+    emitEvent('code', { code })
+  })
 }
 
 // Function to delete client session folder
 const deleteSessionFolder = async (sessionId) => {
+  diskUsageCache.delete(sessionId)
   try {
     const targetDirPath = path.join(sessionFolderPath, `session-${sessionId}`)
     const resolvedTargetDirPath = await fs.promises.realpath(targetDirPath)
@@ -733,6 +838,7 @@ const reloadSession = async (sessionId) => {
     if (!client) {
       return
     }
+    setSessionState(sessionId, 'RECOVERING', 'reload')
     client.pupPage?.removeAllListeners('close')
     client.pupPage?.removeAllListeners('error')
     try {
@@ -747,7 +853,7 @@ const reloadSession = async (sessionId) => {
     }
     sessions.delete(sessionId)
     pendingSessions.delete(sessionId)
-    await setupSession(sessionId)
+    await setupSession(sessionId, { reason: 'reload' })
   } catch (error) {
     logger.error({ sessionId, err: error }, 'Failed to reload session')
     throw error
@@ -775,10 +881,14 @@ const destroySession = async (sessionId) => {
       logger.info({ sessionId }, 'No client in memory, checking for orphaned browser process')
       await killOrphanedBrowserByLockFile(sessionId)
       pendingSessions.delete(sessionId)
+      diskUsageCache.delete(sessionId)
+      setSessionState(sessionId, 'STOPPED', 'stopped')
       return
     }
     client.pupPage?.removeAllListeners('close')
     client.pupPage?.removeAllListeners('error')
+    // antes de encerrar o WebSocket da sessão, para que os clientes conectados recebam o evento
+    setSessionState(sessionId, 'STOPPED', 'stopped')
     try {
       await terminateWebSocketServer(sessionId)
     } catch (error) {
@@ -800,6 +910,8 @@ const destroySession = async (sessionId) => {
     sessions.delete(sessionId)
     pendingSessions.delete(sessionId)
     restartAttempts.delete(sessionId)
+    sessionRuntime.delete(sessionId)
+    diskUsageCache.delete(sessionId)
   } catch (error) {
     logger.error({ sessionId, err: error }, 'Failed to stop session')
     throw error
@@ -811,16 +923,20 @@ const destroySession = async (sessionId) => {
 const deleteSession = async (sessionId, validation) => {
   await acquireSessionLock(sessionId)
   try {
+    // backlog de webhooks da sessão descartado antes do evento `terminated`, que ainda é entregue
+    await purgeSessionOutbox(sessionId).catch(err => logger.error({ sessionId, err }, 'Falha ao descartar o outbox de webhooks da sessão'))
     const client = sessions.get(sessionId)
     if (!client) {
       logger.info({ sessionId }, 'No client in memory, checking for orphaned browser process')
       await killOrphanedBrowserByLockFile(sessionId)
       pendingSessions.delete(sessionId)
       await deleteSessionFolder(sessionId).catch(() => { })
+      setSessionState(sessionId, 'STOPPED', 'terminated')
       return
     }
     client.pupPage?.removeAllListeners('close')
     client.pupPage?.removeAllListeners('error')
+    setSessionState(sessionId, 'STOPPED', 'terminated')
     try {
       await terminateWebSocketServer(sessionId)
     } catch (error) {
@@ -848,6 +964,7 @@ const deleteSession = async (sessionId, validation) => {
     sessions.delete(sessionId)
     pendingSessions.delete(sessionId)
     restartAttempts.delete(sessionId)
+    sessionRuntime.delete(sessionId)
     await deleteSessionFolder(sessionId)
   } catch (error) {
     logger.error({ sessionId, err: error }, 'Failed to delete session')
@@ -857,6 +974,94 @@ const deleteSession = async (sessionId, validation) => {
   }
 }
 
+// Tamanho em bytes da pasta, sem seguir links simbólicos
+const getFolderSize = async (folderPath) => {
+  const entries = await fs.promises.readdir(folderPath, { withFileTypes: true }).catch(() => [])
+  let total = 0
+  for (const entry of entries) {
+    const entryPath = path.join(folderPath, entry.name)
+    if (entry.isDirectory()) {
+      total += await getFolderSize(entryPath)
+    } else if (entry.isFile()) {
+      total += await fs.promises.lstat(entryPath).then(stat => stat.size).catch(() => 0)
+    }
+  }
+  return total
+}
+
+/**
+ * Espaço em disco da pasta session-<id> (perfil do navegador). Percorrer o perfil é caro:
+ * o valor fica em cache por DISK_USAGE_CACHE_MS e é descartado quando a sessão é parada ou removida.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {Object} [options]
+ * @param {boolean} [options.cachedOnly=false] - Não percorre a pasta: retorna o último valor calculado, mesmo expirado
+ * @returns {Promise<number|null>} Bytes, ou null se a pasta não existir (ou sem valor em cache com `cachedOnly`)
+ */
+const getSessionDiskUsage = async (sessionId, { cachedOnly = false } = {}) => {
+  const cached = diskUsageCache.get(sessionId)
+  if (cachedOnly) {
+    return cached ? cached.bytes : null
+  }
+  if (cached && Date.now() - cached.at < DISK_USAGE_CACHE_MS) {
+    return cached.bytes
+  }
+  const folderPath = path.join(sessionFolderPath, `session-${sessionId}`)
+  const exists = await fs.promises.stat(folderPath).then(stat => stat.isDirectory()).catch(() => false)
+  const bytes = exists ? await getFolderSize(folderPath) : null
+  diskUsageCache.set(sessionId, { bytes, at: Date.now() })
+  return bytes
+}
+
+/**
+ * Horário (ms) do último evento do client da sessão, ou null se nenhum desde o início.
+ *
+ * @param {string} sessionId - Sessão
+ * @returns {number|null}
+ */
+const getLastEventAt = (sessionId) => sessionRuntime.get(sessionId)?.lastEventAt || null
+
+/**
+ * Lista as sessões conhecidas (clients em memória, inicializações pendentes e pastas session-<id> em disco)
+ * com estado, número conectado, horário de início, tentativas de restart e PID do navegador.
+ *
+ * @returns {Promise<Object[]>} Ordenadas pelo id
+ */
+const listSessionDetails = async () => {
+  await ensureSessionDirectory()
+  const files = await fs.promises.readdir(sessionFolderPath)
+  const onDisk = new Set(files.map(file => file.match(/^session-(.+)$/)).filter(Boolean).map(match => match[1]))
+  const ids = [...new Set([...sessions.keys(), ...pendingSessions, ...onDisk])].sort()
+  const now = Date.now()
+  return ids.map(sessionId => {
+    const client = sessions.get(sessionId)
+    const runtime = sessionRuntime.get(sessionId)
+    const { displayName, tags } = getSessionConfig(sessionId)
+    const { state, since } = getSessionState(sessionId)
+    let browserPid = null
+    try {
+      browserPid = client?.pupBrowser?.process()?.pid || null
+    } catch { }
+    return {
+      id: sessionId,
+      displayName,
+      tags,
+      state,
+      stateSince: since,
+      lastChangeState: runtime?.lastState || null,
+      phoneNumber: client?.info?.wid?.user || null,
+      pushname: client?.info?.pushname || null,
+      startedAt: client ? runtime?.startedAt || null : null,
+      uptimeMs: client && runtime?.startedAt ? now - runtime.startedAt : null,
+      lastEventAt: runtime?.lastEventAt || null,
+      restartCount: restartAttempts.get(sessionId)?.count || 0,
+      lastError: runtime?.lastError || null,
+      browserPid,
+      onDisk: onDisk.has(sessionId)
+    }
+  })
+}
+
 // Function to handle session flush
 const flushSessions = async (deleteOnlyInactive) => {
   try {
@@ -909,8 +1114,17 @@ const flushSessions = async (deleteOnlyInactive) => {
 
 module.exports = {
   sessions,
+  listSessionDetails,
+  getSessionDiskUsage,
   setupSession,
+  initializeEvents,
   restoreSessions,
+  getRestoreProgress,
+  getLastEventAt,
+  canRestart,
+  recreateSession,
+  setSessionState,
+  emitSessionEvent,
   validateSession,
   deleteSession,
   reloadSession,
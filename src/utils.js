@@ -1,16 +1,18 @@
-const axios = require('axios')
-const { globalApiKey, disabledCallbacks, enableWebHook } = require('./config')
+const { disabledCallbacks, enableWebHook } = require('./config')
 const { logger } = require('./logger')
+const { enqueueWebhook } = require('./webhookOutbox')
 const ChatFactory = require('whatsapp-web.js/src/factories/ChatFactory')
 const Client = require('whatsapp-web.js').Client
 const { Chat, Message } = require('whatsapp-web.js/src/structures')
 
-// Trigger webhook endpoint
-const triggerWebhook = (webhookURL, sessionId, dataType, data) => {
+// Trigger webhook endpoint (entrega durável via outbox, com retry e dead-letter)
+const triggerWebhook = (webhookURL, sessionId, dataType, data, options) => {
   if (enableWebHook) {
-    axios.post(webhookURL, { dataType, data, sessionId }, { headers: { 'x-api-key': globalApiKey } })
-      .then(() => logger.debug({ sessionId, dataType, data: data || '' }, `Webhook message sent to ${webhookURL}`))
-      .catch(error => logger.error({ sessionId, dataType, err: error, data: data || '' }, `Failed to send webhook message to ${webhookURL}`))
+    try {
+      enqueueWebhook(webhookURL, sessionId, dataType, data, options)
+    } catch (error) {
+      logger.error({ sessionId, dataType, err: error }, `Failed to enqueue webhook message to ${webhookURL}`)
+    }
   }
 }
 
@@ -0,0 +1,136 @@
+const { webhookDeliveryLogSize } = require('./config')
+
+// Janela de latências usada no cálculo de p50/p95 por destino
+const LATENCY_SAMPLE_SIZE = 200
+
+// Log por sessão (buffer circular limitado) e estatísticas por destino (sessão + URL)
+const deliveryLogs = new Map()
+const targetStats = new Map()
+
+const percentile = (sortedValues, p) => {
+  if (sortedValues.length === 0) {
+    return null
+  }
+  const index = Math.min(sortedValues.length - 1, Math.ceil((p / 100) * sortedValues.length) - 1)
+  return sortedValues[Math.max(0, index)]
+}
+
+const getTargetStats = (sessionId, subscriptionId, url) => {
+  const key = `${sessionId}:${subscriptionId || 'default'}:${url}`
+  let stats = targetStats.get(key)
+  if (!stats) {
+    stats = {
+      sessionId,
+      subscriptionId: subscriptionId || null,
+      url,
+      total: 0,
+      succeeded: 0,
+      failed: 0,
+      latencies: [],
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    }
+    targetStats.set(key, stats)
+  }
+  return stats
+}
+
+/**
+ * Registra o resultado de uma tentativa de entrega.
+ *
+ * @param {Object} entry
+ * @param {string} entry.deliveryId - Id da entrega no outbox
+ * @param {string} entry.sessionId - Sessão
+ * @param {string|null} entry.subscriptionId - Assinatura (null para o webhook padrão)
+ * @param {string} entry.url - URL de destino
+ * @param {string} entry.dataType - Tipo do evento
+ * @param {number} entry.attempt - Número da tentativa (1 = primeira)
+ * @param {boolean} entry.success - Se o receptor respondeu 2xx
+ * @param {number|null} entry.statusCode - Status HTTP (null se não houve resposta)
+ * @param {number} entry.latencyMs - Duração da requisição
+ * @param {string} [entry.error] - Mensagem de erro em caso de falha
+ */
+const recordDeliveryAttempt = (entry) => {
+  const logEntry = { ...entry, subscriptionId: entry.subscriptionId || null, error: entry.error || null, at: Date.now() }
+  let log = deliveryLogs.get(entry.sessionId)
+  if (!log) {
+    log = []
+    deliveryLogs.set(entry.sessionId, log)
+  }
+  log.push(logEntry)
+  if (log.length > webhookDeliveryLogSize) {
+    log.splice(0, log.length - webhookDeliveryLogSize)
+  }
+
+  const stats = getTargetStats(entry.sessionId, entry.subscriptionId, entry.url)
+  stats.total++
+  stats.latencies.push(entry.latencyMs)
+  if (stats.latencies.length > LATENCY_SAMPLE_SIZE) {
+    stats.latencies.shift()
+  }
+  if (entry.success) {
+    stats.succeeded++
+    stats.lastSuccessAt = logEntry.at
+  } else {
+    stats.failed++
+    stats.lastFailureAt = logEntry.at
+    stats.lastError = { at: logEntry.at, statusCode: logEntry.statusCode, message: logEntry.error }
+  }
+}
+
+/**
+ * Consulta o log de entregas da sessão, do mais recente para o mais antigo.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {Object} [filters] - `dataType`, `subscriptionId`, `success` (boolean), `from`/`to` (ms), `limit`
+ * @returns {Object[]}
+ */
+const getDeliveryLog = (sessionId, { dataType, subscriptionId, success, from, to, limit = 100 } = {}) => {
+  const log = deliveryLogs.get(sessionId) || []
+  const result = []
+  for (let i = log.length - 1; i >= 0 && result.length < limit; i--) {
+    const entry = log[i]
+    if (dataType && entry.dataType !== dataType) continue
+    if (subscriptionId && (entry.subscriptionId || 'default') !== subscriptionId) continue
+    if (success !== undefined && entry.success !== success) continue
+    if (Number.isFinite(from) && entry.at < from) continue
+    if (Number.isFinite(to) && entry.at > to) continue
+    result.push(entry)
+  }
+  return result
+}
+
+/**
+ * Estatísticas agregadas por destino da sessão (contadores desde o boot, latências das últimas tentativas).
+ *
+ * @param {string} sessionId - Sessão
+ * @returns {Object[]}
+ */
+const getDeliveryStats = (sessionId) => {
+  const result = []
+  for (const stats of targetStats.values()) {
+    if (stats.sessionId !== sessionId) continue
+    const sorted = [...stats.latencies].sort((a, b) => a - b)
+    result.push({
+      subscriptionId: stats.subscriptionId,
+      url: stats.url,
+      total: stats.total,
+      succeeded: stats.succeeded,
+      failed: stats.failed,
+      successRate: stats.total > 0 ? stats.succeeded / stats.total : null,
+      latencyP50Ms: percentile(sorted, 50),
+      latencyP95Ms: percentile(sorted, 95),
+      lastSuccessAt: stats.lastSuccessAt,
+      lastFailureAt: stats.lastFailureAt,
+      lastError: stats.lastError
+    })
+  }
+  return result
+}
+
+module.exports = {
+  recordDeliveryAttempt,
+  getDeliveryLog,
+  getDeliveryStats
+}
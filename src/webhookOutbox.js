@@ -0,0 +1,488 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const axios = require('axios')
+const { baseWebhookURL, sessionFolderPath, globalApiKey, webhookMaxAttempts, webhookRetryBaseMs, webhookRetryMaxMs, webhookQueueMaxSize, webhookDeadLetterMaxPerSession, webhookSecret, webhookSecretPrevious, webhookTimeoutMs, webhookAllowPrivateTargets } = require('./config')
+const { logger } = require('./logger')
+const { buildSignatureHeaders } = require('./webhookSignature')
+const { recordDeliveryAttempt } = require('./webhookDeliveryLog')
+const { acquireTarget } = require('./webhookTargets')
+const { isInternalHost, publicAddressLookup } = require('./ipAllowlist')
+
+// Diretório com prefixo "." para não ser confundido com session-<id> em restoreSessions/flushSessions
+const outboxRoot = path.resolve(sessionFolderPath, '.webhook-outbox')
+const pendingRoot = path.join(outboxRoot, 'pending')
+const deadLetterRoot = path.join(outboxRoot, 'dead')
+
+// Fila em memória por destino (sessão + assinatura): { record, ready, inFlight, removed }.
+// A ordem espelha a ordem dos arquivos em pending/<sessionId>; `inFlight` marca a cabeça em posse do worker
+const queues = new Map()
+const runningWorkers = new Set()
+let sequence = 0
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref())
+
+// Id ordenável lexicograficamente (timestamp + sequência) para preservar a ordem após restart
+const nextDeliveryId = () => {
+  sequence = (sequence + 1) % 1000000
+  return `${String(Date.now()).padStart(13, '0')}-${String(sequence).padStart(6, '0')}-${crypto.randomBytes(4).toString('hex')}`
+}
+
+// Cada destino tem a própria fila: um receptor fora do ar não atrasa as demais assinaturas da sessão
+const queueKeyOf = (record) => `${record.sessionId}:${record.subscriptionId || 'default'}`
+
+const getQueue = (queueKey) => {
+  let queue = queues.get(queueKey)
+  if (!queue) {
+    queue = []
+    queues.set(queueKey, queue)
+  }
+  return queue
+}
+
+const pendingFilePath = (record) => path.join(pendingRoot, record.sessionId, `${record.id}.json`)
+const deadLetterFilePath = (record) => path.join(deadLetterRoot, record.sessionId, `${record.id}.json`)
+
+const writeRecord = async (filePath, record) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+  // Escrita atômica: evita arquivo truncado se o processo cair no meio do write
+  const tmpPath = `${filePath}.tmp`
+  await fs.promises.writeFile(tmpPath, JSON.stringify(record))
+  await fs.promises.rename(tmpPath, filePath)
+}
+
+const computeBackoffMs = (attempts) => Math.min(webhookRetryMaxMs, webhookRetryBaseMs * (2 ** (attempts - 1)))
+
+/**
+ * Segredos ativos para assinar os webhooks da sessão, o atual primeiro.
+ * `<SESSIONID>_WEBHOOK_SECRET` / `<SESSIONID>_WEBHOOK_SECRET_PREVIOUS` sobrescrevem o par global.
+ *
+ * @param {string} sessionId - Sessão
+ * @returns {string[]} Lista vazia quando nenhum segredo está configurado
+ */
+const getWebhookSecrets = (sessionId) => {
+  const prefix = String(sessionId || '').toUpperCase()
+  const current = process.env[`${prefix}_WEBHOOK_SECRET`]
+  if (current) {
+    return [current, process.env[`${prefix}_WEBHOOK_SECRET_PREVIOUS`]].filter(Boolean)
+  }
+  return [webhookSecret, webhookSecretPrevious].filter(Boolean)
+}
+
+// Destinos definidos pelo operador (variáveis de ambiente), os únicos que recebem a API key global no modo legado.
+// Comparado na entrega, para valer também para registros já gravados no outbox
+const isOperatorTarget = (record) => !record.subscriptionId &&
+  [process.env[`${String(record.sessionId).toUpperCase()}_WEBHOOK_URL`], baseWebhookURL].includes(record.webhookURL)
+
+const postDelivery = async (record) => {
+  // corpo serializado uma vez: a assinatura precisa cobrir exatamente os bytes enviados
+  const payload = JSON.stringify(record.body)
+  const secrets = getWebhookSecrets(record.sessionId)
+  const headers = { ...record.headers, 'content-type': 'application/json', 'x-webhook-id': record.id }
+  if (secrets.length > 0) {
+    // timestamp novo a cada tentativa, para retries não caírem fora da tolerância do receptor
+    Object.assign(headers, buildSignatureHeaders(secrets, payload))
+  } else if (isOperatorTarget(record)) {
+    // modo legado (sem segredo configurado): autentica com a API key global. Assinaturas e o webhook.url da
+    // configuração da sessão são cadastrados via API, inclusive por keys sem acesso global, e nunca recebem a key
+    headers['x-api-key'] = globalApiKey
+  }
+  const attempt = {
+    deliveryId: record.id,
+    sessionId: record.sessionId,
+    subscriptionId: record.subscriptionId,
+    url: record.webhookURL,
+    dataType: record.dataType,
+    attempt: record.attempts + 1
+  }
+  // destinos cadastrados via API não alcançam a rede interna: IP literal conferido aqui, nomes na resolução
+  // (o DNS pode mudar depois do cadastro) e sem seguir redirecionamentos, cujo Location poderia ser um IP interno
+  const restricted = !webhookAllowPrivateTargets && !isOperatorTarget(record)
+  const startedAt = Date.now()
+  try {
+    if (restricted && isInternalHost(new URL(record.webhookURL).hostname)) {
+      throw new Error(`Webhook URL ${record.webhookURL} points to a loopback or private address`)
+    }
+    const response = await axios.post(record.webhookURL, payload, {
+      headers,
+      timeout: webhookTimeoutMs,
+      ...(restricted && { lookup: publicAddressLookup, maxRedirects: 0 })
+    })
+    recordDeliveryAttempt({ ...attempt, success: true, statusCode: response.status, latencyMs: Date.now() - startedAt })
+  } catch (error) {
+    recordDeliveryAttempt({
+      ...attempt,
+      success: false,
+      statusCode: error.response ? error.response.status : null,
+      latencyMs: Date.now() - startedAt,
+      error: error.message
+    })
+    throw error
+  }
+}
+
+// Mantém no máximo WEBHOOK_DEAD_LETTER_MAX_PER_SESSION entregas em dead-letter, removendo as mais antigas (ordem de id)
+const trimDeadLetters = async (sessionId) => {
+  if (!webhookDeadLetterMaxPerSession) {
+    return
+  }
+  const dir = path.join(deadLetterRoot, sessionId)
+  const files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.json')).sort()
+  const excess = files.slice(0, Math.max(0, files.length - webhookDeadLetterMaxPerSession))
+  for (const file of excess) {
+    await fs.promises.rm(path.join(dir, file), { force: true })
+  }
+  if (excess.length > 0) {
+    logger.warn({ sessionId, removed: excess.length }, 'Limite do dead-letter de webhooks atingido; entregas mais antigas removidas')
+  }
+}
+
+const moveToDeadLetter = async (record) => {
+  record.deadAt = Date.now()
+  await writeRecord(deadLetterFilePath(record), record)
+  await fs.promises.rm(pendingFilePath(record), { force: true })
+  await trimDeadLetters(record.sessionId)
+}
+
+const handleDeliveryFailure = async (record, error) => {
+  record.attempts++
+  record.errors.push({
+    at: Date.now(),
+    message: error.message,
+    status: error.response ? error.response.status : null
+  })
+  const { sessionId, dataType, webhookURL, attempts } = record
+  if (attempts >= webhookMaxAttempts) {
+    logger.error({ sessionId, dataType, attempts, err: error }, `Webhook esgotou as tentativas para ${webhookURL}; movido para dead-letter`)
+    await moveToDeadLetter(record)
+    return true
+  }
+  record.nextAttemptAt = Date.now() + computeBackoffMs(attempts)
+  logger.warn({ sessionId, dataType, attempts, nextAttemptAt: record.nextAttemptAt, err: error }, `Failed to send webhook message to ${webhookURL}; retry scheduled`)
+  await writeRecord(pendingFilePath(record), record)
+  return false
+}
+
+// Um worker por destino processa a fila em série: enquanto o item da cabeça aguarda retry, os seguintes esperam.
+// Filas de sessões/assinaturas diferentes que apontam para a mesma URL dividem o limite de concorrência e o circuit breaker
+const processQueue = async (queueKey) => {
+  if (runningWorkers.has(queueKey)) {
+    return
+  }
+  runningWorkers.add(queueKey)
+  try {
+    // fila relida a cada volta: purgeSessionOutbox pode trocá-la enquanto uma entrega está em andamento
+    for (let queue = getQueue(queueKey); queue.length > 0; queue = getQueue(queueKey)) {
+      const entry = queue[0]
+      entry.inFlight = true
+      await entry.ready
+      const { record } = entry
+      const { sessionId } = record
+      const delayMs = record.nextAttemptAt - Date.now()
+      if (delayMs > 0) {
+        await wait(delayMs)
+      }
+      if (entry.removed) {
+        continue
+      }
+      // com o circuito do destino aberto o item segue retido em pending, sem consumir tentativas
+      const { release } = await acquireTarget(record.webhookURL)
+      let deliveryError = null
+      try {
+        await postDelivery(record)
+      } catch (error) {
+        deliveryError = error
+      } finally {
+        release(deliveryError)
+      }
+      if (entry.removed) {
+        continue
+      }
+      let done = false
+      try {
+        if (!deliveryError) {
+          logger.debug({ sessionId, dataType: record.dataType, attempts: record.attempts + 1 }, `Webhook message sent to ${record.webhookURL}`)
+          done = true
+          await fs.promises.rm(pendingFilePath(record), { force: true })
+        } else {
+          done = await handleDeliveryFailure(record, deliveryError)
+        }
+      } catch (persistError) {
+        logger.error({ sessionId, err: persistError }, 'Falha ao persistir estado da entrega de webhook')
+        if (!done) {
+          record.nextAttemptAt = Date.now() + computeBackoffMs(record.attempts)
+        }
+      }
+      if (done) {
+        queue.splice(queue.indexOf(entry), 1)
+      }
+    }
+    queues.delete(queueKey)
+  } finally {
+    runningWorkers.delete(queueKey)
+  }
+}
+
+// Fila cheia: a entrega mais antiga fora do worker vai para o dead-letter, limitando memória e arquivos em pending
+const evictOldest = (queue) => {
+  const index = queue.findIndex(entry => !entry.inFlight)
+  if (index === -1) {
+    return
+  }
+  const [{ record, ready }] = queue.splice(index, 1)
+  record.errors.push({ at: Date.now(), message: 'Outbox queue full', status: null })
+  logger.warn({ sessionId: record.sessionId, subscriptionId: record.subscriptionId, dataType: record.dataType }, `Fila do outbox cheia (${webhookQueueMaxSize}); entrega mais antiga movida para dead-letter`)
+  // só depois da gravação em pending, para o arquivo não reaparecer após a remoção
+  ready.then(() => moveToDeadLetter(record))
+    .catch(err => logger.error({ sessionId: record.sessionId, err }, 'Falha ao mover entrega de webhook para dead-letter'))
+}
+
+// Registros reenfileirados (replay) entram na posição de emissão, como na leitura ordenada de resumePendingDeliveries
+const compareRecords = (a, b) => a.createdAt - b.createdAt || (a.id < b.id ? -1 : 1)
+
+const scheduleDelivery = (entry, { ordered = false } = {}) => {
+  const queueKey = queueKeyOf(entry.record)
+  const queue = getQueue(queueKey)
+  if (webhookQueueMaxSize && queue.length >= webhookQueueMaxSize) {
+    evictOldest(queue)
+  }
+  const index = ordered ? queue.findIndex(item => compareRecords(item.record, entry.record) > 0) : -1
+  if (index === -1) {
+    queue.push(entry)
+  } else {
+    queue.splice(index, 0, entry)
+  }
+  processQueue(queueKey).catch(err => logger.error({ queueKey, err }, 'Worker do outbox de webhooks falhou'))
+}
+
+/**
+ * Persiste a entrega no outbox e agenda o envio, preservando a ordem por sessão e destino.
+ *
+ * @param {string} webhookURL - URL de destino
+ * @param {string} sessionId - Sessão que originou o evento
+ * @param {string} dataType - Tipo do evento
+ * @param {*} data - Payload do evento
+ * @param {Object} [options]
+ * @param {string} [options.subscriptionId] - Assinatura de destino (ausente para o webhook padrão)
+ * @param {Object} [options.headers] - Headers adicionais da assinatura
+ * @param {number} [options.schemaVersion] - Versão do schema quando `data` já está normalizado
+ * @param {number} [options.eventId] - Id do evento na sequência da sessão (ver eventLog)
+ * @returns {Object} O registro da entrega
+ */
+const enqueueWebhook = (webhookURL, sessionId, dataType, data, options = {}) => {
+  const record = {
+    id: nextDeliveryId(),
+    sessionId,
+    subscriptionId: options.subscriptionId || null,
+    webhookURL,
+    headers: options.headers || {},
+    dataType,
+    // snapshot serializado agora: objetos da lib mudam depois e não sobrevivem a restart
+    body: JSON.parse(JSON.stringify({
+      ...(options.schemaVersion && { schemaVersion: options.schemaVersion }),
+      ...(options.eventId && { eventId: options.eventId }),
+      dataType,
+      data,
+      sessionId
+    })),
+    createdAt: Date.now(),
+    attempts: 0,
+    nextAttemptAt: 0,
+    errors: []
+  }
+  const ready = writeRecord(pendingFilePath(record), record)
+    .catch(err => logger.error({ sessionId, dataType, err }, 'Falha ao gravar webhook no outbox; entrega seguirá apenas em memória'))
+  scheduleDelivery({ record, ready })
+  return record
+}
+
+const readRecordsFromDir = async (dir) => {
+  let files
+  try {
+    files = await fs.promises.readdir(dir)
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return []
+    }
+    throw err
+  }
+  const records = []
+  for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+    try {
+      records.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8')))
+    } catch (err) {
+      logger.error({ file, err }, 'Registro do outbox de webhooks ilegível; ignorando')
+    }
+  }
+  return records
+}
+
+const matchesFilters = (record, { dataType, from, to } = {}) => {
+  if (dataType && record.dataType !== dataType) {
+    return false
+  }
+  if (Number.isFinite(from) && record.createdAt < from) {
+    return false
+  }
+  if (Number.isFinite(to) && record.createdAt > to) {
+    return false
+  }
+  return true
+}
+
+const selectDeadLetters = async (sessionId, { ids, ...filters } = {}) => {
+  const records = await readRecordsFromDir(path.join(deadLetterRoot, sessionId))
+  const idSet = Array.isArray(ids) ? new Set(ids) : null
+  return records.filter(record => (!idSet || idSet.has(record.id)) && matchesFilters(record, filters))
+}
+
+/**
+ * Lista as entregas em dead-letter de uma sessão, da mais antiga para a mais recente.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {Object} [filters] - `dataType`, `from` e `to` (ms, comparados com `createdAt`)
+ * @returns {Promise<Object[]>} Registros completos
+ */
+const listDeadLetters = async (sessionId, filters = {}) => selectDeadLetters(sessionId, filters)
+
+/**
+ * Retorna uma entrega em dead-letter ou null se não existir.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {string} deliveryId - Id da entrega
+ * @returns {Promise<Object|null>}
+ */
+const getDeadLetter = async (sessionId, deliveryId) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(deadLetterFilePath({ sessionId, id: deliveryId }), 'utf8'))
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null
+    }
+    throw err
+  }
+}
+
+/**
+ * Devolve entregas em dead-letter ao outbox, zerando as tentativas e mantendo o histórico de erros.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {Object} [selection] - `ids` e/ou filtros (`dataType`, `from`, `to`); sem nada, reenvia todas
+ * @returns {Promise<string[]>} Ids reenfileirados
+ */
+const replayDeadLetters = async (sessionId, selection = {}) => {
+  const records = await selectDeadLetters(sessionId, selection)
+  const replayed = []
+  for (const record of records) {
+    // o rename reivindica o registro: num replay concorrente só uma chamada o encontra, a outra recebe ENOENT
+    const pendingPath = pendingFilePath(record)
+    try {
+      await fs.promises.mkdir(path.dirname(pendingPath), { recursive: true })
+      await fs.promises.rename(deadLetterFilePath(record), pendingPath)
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        continue
+      }
+      throw err
+    }
+    delete record.deadAt
+    record.attempts = 0
+    record.nextAttemptAt = 0
+    record.replayCount = (record.replayCount || 0) + 1
+    record.replayedAt = Date.now()
+    await writeRecord(pendingPath, record)
+    scheduleDelivery({ record, ready: Promise.resolve() }, { ordered: true })
+    replayed.push(record.id)
+  }
+  if (replayed.length > 0) {
+    logger.info({ sessionId, count: replayed.length }, 'Entregas de webhook reenfileiradas a partir do dead-letter')
+  }
+  return replayed
+}
+
+/**
+ * Remove definitivamente entregas em dead-letter.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {Object} [selection] - `ids` e/ou filtros (`dataType`, `from`, `to`); sem nada, remove todas
+ * @returns {Promise<string[]>} Ids removidos
+ */
+const purgeDeadLetters = async (sessionId, selection = {}) => {
+  const records = await selectDeadLetters(sessionId, selection)
+  for (const record of records) {
+    await fs.promises.rm(deadLetterFilePath(record), { force: true })
+  }
+  if (records.length > 0) {
+    logger.info({ sessionId, count: records.length }, 'Entregas de webhook removidas do dead-letter')
+  }
+  return records.map(record => record.id)
+}
+
+/**
+ * Descarta as entregas pendentes e o dead-letter de uma sessão encerrada.
+ * Uma entrega já em envio termina a requisição, mas não é regravada nem retentada.
+ *
+ * @param {string} sessionId - Sessão
+ * @returns {Promise<number>} Quantidade de entregas pendentes descartadas
+ */
+const purgeSessionOutbox = async (sessionId) => {
+  const entries = []
+  for (const [queueKey, queue] of queues) {
+    if (queueKey.startsWith(`${sessionId}:`)) {
+      entries.push(...queue.splice(0))
+      queues.delete(queueKey)
+    }
+  }
+  entries.forEach(entry => { entry.removed = true })
+  // aguarda as gravações em andamento, para nenhum arquivo ser recriado depois da remoção
+  await Promise.all(entries.map(entry => entry.ready))
+  await fs.promises.rm(path.join(pendingRoot, sessionId), { recursive: true, force: true })
+  await fs.promises.rm(path.join(deadLetterRoot, sessionId), { recursive: true, force: true })
+  if (entries.length > 0) {
+    logger.info({ sessionId, count: entries.length }, 'Entregas de webhook pendentes descartadas com a sessão')
+  }
+  return entries.length
+}
+
+/**
+ * Recarrega entregas pendentes gravadas em disco (ex.: após restart) e retoma o envio.
+ * Deve ser chamada no bootstrap, antes das sessões começarem a emitir eventos.
+ *
+ * @returns {Promise<number>} Quantidade de entregas retomadas
+ */
+const resumePendingDeliveries = async () => {
+  let sessionIds
+  try {
+    sessionIds = await fs.promises.readdir(pendingRoot)
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return 0
+    }
+    throw err
+  }
+  const known = new Set()
+  for (const queue of queues.values()) {
+    queue.forEach(entry => known.add(entry.record.id))
+  }
+  let resumed = 0
+  for (const sessionId of sessionIds) {
+    // arquivos lidos em ordem de id, que é a ordem de emissão
+    const records = await readRecordsFromDir(path.join(pendingRoot, sessionId))
+    for (const record of records.filter(record => !known.has(record.id))) {
+      scheduleDelivery({ record, ready: Promise.resolve() })
+      resumed++
+    }
+  }
+  return resumed
+}
+
+module.exports = {
+  getWebhookSecrets,
+  enqueueWebhook,
+  resumePendingDeliveries,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetters,
+  purgeDeadLetters,
+  purgeSessionOutbox
+}
@@ -0,0 +1,188 @@
+// Formato normalizado dos eventos de webhook: campos estáveis e documentados em vez dos objetos
+// da whatsapp-web.js (que carregam `_data` interno e mudam a cada versão da lib).
+// Schemas JSON de cada evento em docs/schemas/webhook/v<SCHEMA_VERSION>.
+const SCHEMA_VERSION = 1
+
+const PAYLOAD_FORMATS = ['raw', 'normalized']
+
+// Ids da lib podem vir como string ou como objeto { _serialized }
+const serializeId = (id) => {
+  if (!id) {
+    return null
+  }
+  if (typeof id === 'string') {
+    return id
+  }
+  return id._serialized || null
+}
+
+const toNumberOrNull = (value) => Number.isFinite(value) ? value : null
+
+const normalizeMessage = (message) => {
+  if (!message) {
+    return null
+  }
+  const data = message._data || {}
+  const id = message.id || {}
+  const chatId = serializeId(id.remote) || (message.fromMe ? message.to : message.from) || null
+  return {
+    id: serializeId(id),
+    chatId,
+    from: message.from || null,
+    to: message.to || null,
+    author: message.author || null,
+    fromMe: Boolean(message.fromMe),
+    type: message.type || null,
+    body: message.body || '',
+    timestamp: toNumberOrNull(message.timestamp),
+    ack: toNumberOrNull(message.ack),
+    isForwarded: Boolean(message.isForwarded),
+    isStatus: Boolean(message.isStatus),
+    broadcast: Boolean(message.broadcast),
+    hasMedia: Boolean(message.hasMedia),
+    media: message.hasMedia
+      ? {
+          mimetype: data.mimetype || null,
+          filename: data.filename || null,
+          size: toNumberOrNull(data.size),
+          duration: data.duration !== undefined && data.duration !== null ? Number(data.duration) : null,
+          width: toNumberOrNull(data.width),
+          height: toNumberOrNull(data.height)
+        }
+      : null,
+    quotedMessageId: message.hasQuotedMsg ? (data.quotedStanzaID || null) : null,
+    quotedParticipant: message.hasQuotedMsg ? serializeId(data.quotedParticipant) : null,
+    mentions: Array.isArray(message.mentionedIds) ? message.mentionedIds.map(serializeId).filter(Boolean) : [],
+    location: message.location
+      ? {
+          latitude: Number(message.location.latitude),
+          longitude: Number(message.location.longitude),
+          description: message.location.description || null
+        }
+      : null
+  }
+}
+
+const normalizeMedia = (media) => {
+  if (!media) {
+    return null
+  }
+  return {
+    mimetype: media.mimetype || null,
+    filename: media.filename || null,
+    filesize: toNumberOrNull(media.filesize),
+    data: media.data || null,
+    // preenchidos quando MEDIA_STORE está configurado (data fica null)
+    sha256: media.sha256 || null,
+    url: media.url || null,
+    expiresAt: toNumberOrNull(media.expiresAt)
+  }
+}
+
+const normalizeChat = (chat) => {
+  if (!chat) {
+    return null
+  }
+  return {
+    id: serializeId(chat.id),
+    name: chat.name || null,
+    isGroup: Boolean(chat.isGroup),
+    archived: Boolean(chat.archived),
+    pinned: Boolean(chat.pinned),
+    isMuted: Boolean(chat.isMuted),
+    unreadCount: toNumberOrNull(chat.unreadCount),
+    timestamp: toNumberOrNull(chat.timestamp)
+  }
+}
+
+const normalizeCall = (call) => {
+  if (!call) {
+    return null
+  }
+  return {
+    id: call.id || null,
+    from: call.from || null,
+    fromMe: Boolean(call.fromMe),
+    isVideo: Boolean(call.isVideo),
+    isGroup: Boolean(call.isGroup),
+    timestamp: toNumberOrNull(call.timestamp),
+    participants: Array.isArray(call.participants) ? call.participants.map(serializeId).filter(Boolean) : []
+  }
+}
+
+const normalizeReaction = (reaction) => {
+  if (!reaction) {
+    return null
+  }
+  return {
+    id: serializeId(reaction.id),
+    messageId: serializeId(reaction.msgId),
+    reaction: reaction.reaction || '',
+    senderId: reaction.senderId || null,
+    timestamp: toNumberOrNull(reaction.timestamp)
+  }
+}
+
+const normalizeGroupNotification = (notification) => {
+  if (!notification) {
+    return null
+  }
+  return {
+    id: serializeId(notification.id),
+    chatId: notification.chatId || null,
+    author: notification.author || null,
+    type: notification.type || null,
+    body: notification.body || '',
+    timestamp: toNumberOrNull(notification.timestamp),
+    recipientIds: Array.isArray(notification.recipientIds) ? notification.recipientIds.map(serializeId).filter(Boolean) : []
+  }
+}
+
+const normalizeVote = (vote) => {
+  if (!vote) {
+    return null
+  }
+  return {
+    voter: vote.voter || null,
+    selectedOptions: Array.isArray(vote.selectedOptions)
+      ? vote.selectedOptions.map(option => ({ name: option.name, localId: option.localId }))
+      : [],
+    timestamp: toNumberOrNull(vote.interractedAtTs),
+    pollMessageId: vote.parentMessage ? serializeId(vote.parentMessage.id) : null
+  }
+}
+
+// Normalizador por chave do `data` emitido em initializeEvents; demais chaves (qr, state, ack...) já são primitivas
+const normalizers = {
+  message: normalizeMessage,
+  revokedMsg: normalizeMessage,
+  messageMedia: normalizeMedia,
+  chat: normalizeChat,
+  call: normalizeCall,
+  reaction: normalizeReaction,
+  notification: normalizeGroupNotification,
+  vote: normalizeVote
+}
+
+/**
+ * Converte o `data` de um evento para o formato normalizado, mantendo os mesmos nomes de campo do formato raw.
+ *
+ * @param {Object} [data] - Dados emitidos em initializeEvents
+ * @returns {Object|undefined}
+ */
+const normalizeEventData = (data) => {
+  if (!data || typeof data !== 'object') {
+    return data
+  }
+  const result = {}
+  for (const [key, value] of Object.entries(data)) {
+    result[key] = normalizers[key] ? normalizers[key](value) : value
+  }
+  return result
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  PAYLOAD_FORMATS,
+  normalizeEventData
+}
@@ -0,0 +1,143 @@
+// Assinatura HMAC-SHA256 dos webhooks. Módulo sem dependências internas para que receptores
+// possam usá-lo diretamente: require('wwebjs-api/src/webhookSignature') ou copiando o arquivo.
+const crypto = require('crypto')
+
+const SIGNATURE_PREFIX = 'sha256='
+const DEFAULT_TOLERANCE_SECONDS = 300
+const DEFAULT_REPLAY_GUARD_ENTRIES = 100000
+
+/**
+ * Calcula a assinatura de um payload: HMAC-SHA256(secret, `${timestamp}.${payload}`) em hex.
+ *
+ * @param {string} secret - Segredo compartilhado
+ * @param {number|string} timestamp - Unix timestamp em segundos (mesmo valor do header x-timestamp)
+ * @param {string|Buffer} payload - Corpo bruto da requisição, exatamente como enviado
+ * @returns {string} Assinatura no formato `sha256=<hex>`
+ */
+const signPayload = (secret, timestamp, payload) => {
+  const hmac = crypto.createHmac('sha256', secret)
+  hmac.update(`${timestamp}.`)
+  hmac.update(payload)
+  return SIGNATURE_PREFIX + hmac.digest('hex')
+}
+
+/**
+ * Monta os headers de assinatura. Com mais de um segredo ativo (rotação), envia uma assinatura
+ * por segredo separadas por vírgula, para o receptor aceitar qualquer um que conheça.
+ *
+ * @param {string[]} secrets - Segredos ativos, o atual primeiro
+ * @param {string|Buffer} payload - Corpo bruto da requisição
+ * @param {number} [timestamp] - Unix timestamp em segundos (padrão: agora)
+ * @returns {Object} Headers `x-signature` e `x-timestamp`
+ */
+const buildSignatureHeaders = (secrets, payload, timestamp = Math.floor(Date.now() / 1000)) => ({
+  'x-signature': secrets.map(secret => signPayload(secret, timestamp, payload)).join(','),
+  'x-timestamp': String(timestamp)
+})
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a)
+  const bufB = Buffer.from(b)
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB)
+}
+
+/**
+ * Memória das entregas já processadas, para rejeitar a mesma requisição reenviada dentro da janela de tolerância.
+ * Cada entrada expira quando o timestamp dela sai da tolerância (a partir daí a própria verificação a rejeita).
+ * A verificação só consulta (`has`); o receptor chama `remember` depois de processar a entrega com sucesso,
+ * para que o retry de uma entrega que falhou (5xx) não seja recusado como duplicada.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds=300] - Mesma tolerância passada a verifyWebhookSignature
+ * @param {number} [options.maxEntries=100000] - Limite de entradas; acima dele as mais antigas são descartadas
+ * @returns {{ has: Function, remember: Function }} `has(keys, now)` informa se alguma chave já foi vista;
+ *   `remember(keys, timestamp, now)` registra as chaves e retorna false se alguma já tinha sido vista
+ */
+const createReplayGuard = ({ toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, maxEntries = DEFAULT_REPLAY_GUARD_ENTRIES } = {}) => {
+  // chave -> expiração em ms; a ordem de inserção acompanha (aproximadamente) a ordem de expiração
+  const seen = new Map()
+  const expire = (now) => {
+    for (const [key, expiresAt] of seen) {
+      if (expiresAt > now) {
+        break
+      }
+      seen.delete(key)
+    }
+  }
+  const has = (keys, now = Date.now()) => {
+    expire(now)
+    return keys.some(key => seen.has(key))
+  }
+  const remember = (keys, timestamp, now = Date.now()) => {
+    if (has(keys, now)) {
+      return false
+    }
+    const expiresAt = (Number(timestamp) + toleranceSeconds + 1) * 1000
+    for (const key of keys) {
+      seen.set(key, expiresAt)
+    }
+    while (seen.size > maxEntries) {
+      seen.delete(seen.keys().next().value)
+    }
+    return true
+  }
+  return { has, remember }
+}
+
+/**
+ * Valida a assinatura de um webhook recebido.
+ * Com `replayGuard`, também rejeita (`duplicate_delivery`) um `x-webhook-id` já processado e a repetição exata de uma
+ * requisição assinada (mesmo timestamp e corpo), já que o header do id não é coberto pela assinatura.
+ * A entrega válida não é registrada aqui: depois de processá-la, chame
+ * `replayGuard.remember(result.replayKeys, timestamp)`; se o processamento falhar, o retry continua aceito.
+ *
+ * @param {Object} params
+ * @param {string|Buffer} params.payload - Corpo bruto recebido (não o JSON re-serializado)
+ * @param {string} params.signature - Valor do header x-signature
+ * @param {string|number} params.timestamp - Valor do header x-timestamp
+ * @param {string[]} params.secrets - Segredos aceitos (atual e anterior durante a rotação)
+ * @param {number} [params.toleranceSeconds=300] - Diferença máxima aceita entre o timestamp e o relógio local
+ * @param {string} [params.webhookId] - Valor do header x-webhook-id
+ * @param {Object} [params.replayGuard] - Retorno de createReplayGuard, compartilhado entre as requisições
+ * @param {number} [params.now] - Relógio local em ms (para testes)
+ * @returns {{ valid: boolean, reason?: string, replayKeys?: string[] }} `replayKeys` só com `replayGuard`
+ */
+const verifyWebhookSignature = ({ payload, signature, timestamp, secrets, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, webhookId, replayGuard, now = Date.now() }) => {
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'missing_signature' }
+  }
+  const ts = Number(timestamp)
+  if (!Number.isInteger(ts)) {
+    return { valid: false, reason: 'invalid_timestamp' }
+  }
+  if (Math.abs(Math.floor(now / 1000) - ts) > toleranceSeconds) {
+    return { valid: false, reason: 'timestamp_out_of_tolerance' }
+  }
+  const activeSecrets = (secrets || []).filter(Boolean)
+  if (activeSecrets.length === 0) {
+    return { valid: false, reason: 'no_secret_configured' }
+  }
+  const received = String(signature).split(',').map(s => s.trim()).filter(s => s.startsWith(SIGNATURE_PREFIX))
+  for (const secret of activeSecrets) {
+    const expected = signPayload(secret, ts, payload)
+    if (received.some(candidate => safeEqual(candidate, expected))) {
+      if (!replayGuard) {
+        return { valid: true }
+      }
+      const message = crypto.createHash('sha256').update(`${ts}.`).update(payload).digest('hex')
+      const replayKeys = [`message:${message}`, ...(webhookId ? [`id:${webhookId}`] : [])]
+      if (replayGuard.has(replayKeys, now)) {
+        return { valid: false, reason: 'duplicate_delivery' }
+      }
+      return { valid: true, replayKeys }
+    }
+  }
+  return { valid: false, reason: 'signature_mismatch' }
+}
+
+module.exports = {
+  signPayload,
+  buildSignatureHeaders,
+  createReplayGuard,
+  verifyWebhookSignature
+}
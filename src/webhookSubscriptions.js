@@ -0,0 +1,228 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { sessionFolderPath, webhookAllowPrivateTargets } = require('./config')
+const { logger } = require('./logger')
+const { PAYLOAD_FORMATS } = require('./webhookPayload')
+const { isInternalHost } = require('./ipAllowlist')
+
+// Um arquivo JSON por sessão; prefixo "." para não ser confundido com session-<id>
+const subscriptionsRoot = path.resolve(sessionFolderPath, '.webhook-subscriptions')
+
+// Cache em memória por sessão, carregado do disco no primeiro acesso
+const subscriptionsCache = new Map()
+
+const subscriptionsFilePath = (sessionId) => path.join(subscriptionsRoot, `${sessionId}.json`)
+
+const loadSubscriptions = (sessionId) => {
+  if (subscriptionsCache.has(sessionId)) {
+    return subscriptionsCache.get(sessionId)
+  }
+  let subscriptions = []
+  try {
+    subscriptions = JSON.parse(fs.readFileSync(subscriptionsFilePath(sessionId), 'utf8'))
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.error({ sessionId, err }, 'Falha ao ler assinaturas de webhook; sessão seguirá sem assinaturas')
+    }
+  }
+  subscriptionsCache.set(sessionId, subscriptions)
+  return subscriptions
+}
+
+// Cache atualizado antes da escrita e gravações encadeadas por sessão: alterações concorrentes não se sobrescrevem
+const writeChains = new Map()
+
+const saveSubscriptions = (sessionId, subscriptions) => {
+  subscriptionsCache.set(sessionId, subscriptions)
+  const write = async () => {
+    await fs.promises.mkdir(subscriptionsRoot, { recursive: true })
+    const filePath = subscriptionsFilePath(sessionId)
+    const tmpPath = `${filePath}.tmp`
+    await fs.promises.writeFile(tmpPath, JSON.stringify(subscriptionsCache.get(sessionId), null, 2))
+    await fs.promises.rename(tmpPath, filePath)
+  }
+  const chain = (writeChains.get(sessionId) || Promise.resolve()).catch(() => { }).then(write)
+  writeChains.set(sessionId, chain)
+  return chain
+}
+
+/**
+ * Valida a URL de um webhook cadastrado via API (assinatura ou webhook.url da configuração da sessão).
+ * Keys sem acesso global podem cadastrá-la: sem WEBHOOK_ALLOW_PRIVATE_TARGETS, loopback e redes privadas são
+ * recusados, para o servidor não ser usado para alcançar serviços internos. Nomes que resolvem para a rede
+ * interna são barrados na entrega (ver publicAddressLookup).
+ *
+ * @param {string} url - URL recebida
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPrivateTargets] - Padrão: WEBHOOK_ALLOW_PRIVATE_TARGETS
+ * @returns {string|null} Motivo da recusa, ou null se a URL é aceita
+ */
+const validateWebhookUrl = (url, { allowPrivateTargets = webhookAllowPrivateTargets } = {}) => {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    return 'must be a valid http(s) URL'
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'must be a valid http(s) URL'
+  }
+  if (!allowPrivateTargets && isInternalHost(parsed.hostname)) {
+    return 'must not point to a loopback or private address'
+  }
+  return null
+}
+
+/**
+ * Valida e normaliza os campos editáveis de uma assinatura.
+ *
+ * @param {Object} input - Campos recebidos
+ * @param {boolean} partial - true na atualização (campos ausentes são mantidos)
+ * @returns {{ value?: Object, error?: string }}
+ */
+const validateSubscriptionInput = (input, partial) => {
+  const value = {}
+  const { url, headers, events, active, format } = input || {}
+  if (url !== undefined || !partial) {
+    const urlError = validateWebhookUrl(url)
+    if (urlError) {
+      return { error: `url ${urlError}` }
+    }
+    value.url = url
+  }
+  if (headers !== undefined) {
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers) || !Object.values(headers).every(v => typeof v === 'string')) {
+      return { error: 'headers must be an object of string values' }
+    }
+    value.headers = headers
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || !events.every(e => typeof e === 'string' && e.length > 0)) {
+      return { error: 'events must be an array of event names' }
+    }
+    value.events = [...new Set(events)]
+  }
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      return { error: 'active must be a boolean' }
+    }
+    value.active = active
+  }
+  if (format !== undefined) {
+    if (!PAYLOAD_FORMATS.includes(format)) {
+      return { error: `format must be one of: ${PAYLOAD_FORMATS.join(', ')}` }
+    }
+    value.format = format
+  }
+  return { value }
+}
+
+/**
+ * Lista as assinaturas de webhook da sessão.
+ *
+ * @param {string} sessionId - Sessão
+ * @returns {Object[]}
+ */
+const listSubscriptions = (sessionId) => loadSubscriptions(sessionId)
+
+/**
+ * Retorna uma assinatura ou null.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {string} subscriptionId - Id da assinatura
+ * @returns {Object|null}
+ */
+const getSubscription = (sessionId, subscriptionId) =>
+  loadSubscriptions(sessionId).find(subscription => subscription.id === subscriptionId) || null
+
+/**
+ * Cria uma assinatura. `events` vazio (ou com "*") recebe todos os eventos.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {Object} input - `url`, `headers`, `events`, `active`, `format` ('raw' ou 'normalized')
+ * @returns {Promise<{ subscription?: Object, error?: string }>}
+ */
+const createSubscription = async (sessionId, input) => {
+  const { value, error } = validateSubscriptionInput(input, false)
+  if (error) {
+    return { error }
+  }
+  const now = Date.now()
+  const subscription = {
+    id: crypto.randomUUID(),
+    url: value.url,
+    headers: value.headers || {},
+    events: value.events || [],
+    active: value.active !== undefined ? value.active : true,
+    format: value.format || 'raw',
+    createdAt: now,
+    updatedAt: now
+  }
+  await saveSubscriptions(sessionId, [...loadSubscriptions(sessionId), subscription])
+  logger.info({ sessionId, subscriptionId: subscription.id, url: subscription.url }, 'Assinatura de webhook criada')
+  return { subscription }
+}
+
+/**
+ * Atualiza campos de uma assinatura; vale para os próximos eventos sem reiniciar a sessão.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {string} subscriptionId - Id da assinatura
+ * @param {Object} input - Campos a alterar
+ * @returns {Promise<{ subscription?: Object|null, error?: string }>} subscription null se não existir
+ */
+const updateSubscription = async (sessionId, subscriptionId, input) => {
+  const { value, error } = validateSubscriptionInput(input, true)
+  if (error) {
+    return { error }
+  }
+  const current = getSubscription(sessionId, subscriptionId)
+  if (!current) {
+    return { subscription: null }
+  }
+  const subscription = { ...current, ...value, updatedAt: Date.now() }
+  await saveSubscriptions(sessionId, loadSubscriptions(sessionId).map(s => s.id === subscriptionId ? subscription : s))
+  logger.info({ sessionId, subscriptionId }, 'Assinatura de webhook atualizada')
+  return { subscription }
+}
+
+/**
+ * Remove uma assinatura. Entregas já enfileiradas para ela continuam no outbox.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {string} subscriptionId - Id da assinatura
+ * @returns {Promise<boolean>} false se não existir
+ */
+const deleteSubscription = async (sessionId, subscriptionId) => {
+  const subscriptions = loadSubscriptions(sessionId)
+  if (!subscriptions.some(subscription => subscription.id === subscriptionId)) {
+    return false
+  }
+  await saveSubscriptions(sessionId, subscriptions.filter(subscription => subscription.id !== subscriptionId))
+  logger.info({ sessionId, subscriptionId }, 'Assinatura de webhook removida')
+  return true
+}
+
+/**
+ * Assinaturas ativas da sessão interessadas no evento.
+ *
+ * @param {string} sessionId - Sessão
+ * @param {string} dataType - Tipo do evento (o mesmo `dataType` enviado no payload)
+ * @returns {Object[]}
+ */
+const getMatchingSubscriptions = (sessionId, dataType) =>
+  loadSubscriptions(sessionId).filter(subscription =>
+    subscription.active &&
+    (subscription.events.length === 0 || subscription.events.includes('*') || subscription.events.includes(dataType))
+  )
+
+module.exports = {
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  getMatchingSubscriptions,
+  validateWebhookUrl
+}
@@ -0,0 +1,174 @@
+const { webhookMaxConcurrencyPerTarget, webhookCircuitFailureThreshold, webhookCircuitResetMs } = require('./config')
+const { logger } = require('./logger')
+
+const CLOSED = 'CLOSED'
+const OPEN = 'OPEN'
+const HALF_OPEN = 'HALF_OPEN'
+
+const notifyWaiters = (target) => {
+  const waiters = target.waiters
+  target.waiters = []
+  waiters.forEach(resolve => resolve())
+}
+
+// Aguarda uma liberação de vaga/mudança de estado ou o tempo indicado, o que vier primeiro
+const waitForTarget = (target, ms) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms)
+  timer.unref()
+  target.waiters.push(() => {
+    clearTimeout(timer)
+    resolve()
+  })
+})
+
+/**
+ * Cria o controle dos destinos de webhook: circuit breaker e limite de requisições simultâneas por URL.
+ *
+ * @param {Object} options - `maxConcurrency`, `failureThreshold` (falhas seguidas que abrem o circuito) e
+ *   `resetMs` (tempo com o circuito aberto até o probe)
+ * @returns {{ acquireTarget: Function, getTargetState: Function, listTargetStates: Function }}
+ */
+const createTargetPool = ({ maxConcurrency, failureThreshold, resetMs }) => {
+  // Estado por URL de destino, compartilhado entre sessões e assinaturas que apontam para o mesmo receptor
+  const targets = new Map()
+
+  const getTarget = (url) => {
+    let target = targets.get(url)
+    if (!target) {
+      target = {
+        url,
+        state: CLOSED,
+        active: 0,
+        consecutiveFailures: 0,
+        probeInFlight: false,
+        openedAt: null,
+        nextProbeAt: null,
+        timesOpened: 0,
+        lastError: null,
+        waiters: []
+      }
+      targets.set(url, target)
+    }
+    return target
+  }
+
+  const openCircuit = (target, error) => {
+    target.state = OPEN
+    target.openedAt = Date.now()
+    target.nextProbeAt = target.openedAt + resetMs
+    target.timesOpened++
+    logger.warn({ url: target.url, consecutiveFailures: target.consecutiveFailures, nextProbeAt: target.nextProbeAt, err: error }, 'Circuit breaker do webhook aberto; eventos ficam retidos no outbox')
+  }
+
+  /**
+   * Aguarda até que uma requisição ao destino seja permitida pelo circuit breaker e pelo limite de
+   * concorrência. Com o circuito aberto, espera até o próximo probe sem consumir tentativas da entrega.
+   *
+   * @param {string} url - URL de destino
+   * @returns {Promise<{ isProbe: boolean, release: Function }>} `release(error)` deve ser chamada uma vez com o erro
+   *   da requisição ou null. Só o resultado do probe (`isProbe`) fecha ou reabre o circuito meio-aberto
+   */
+  const acquireTarget = async (url) => {
+    const target = getTarget(url)
+    let isProbe = false
+    while (true) {
+      if (target.state === OPEN) {
+        const waitMs = target.nextProbeAt - Date.now()
+        if (waitMs > 0) {
+          await waitForTarget(target, waitMs)
+          continue
+        }
+        target.state = HALF_OPEN
+        logger.info({ url }, 'Circuit breaker do webhook meio-aberto; enviando probe')
+      }
+      if (target.state === HALF_OPEN) {
+        if (target.probeInFlight) {
+          await waitForTarget(target, resetMs)
+          continue
+        }
+        target.probeInFlight = true
+        target.active++
+        isProbe = true
+        break
+      }
+      if (target.active < maxConcurrency) {
+        target.active++
+        break
+      }
+      await waitForTarget(target, resetMs)
+    }
+
+    let released = false
+    const release = (error) => {
+      if (released) {
+        return
+      }
+      released = true
+      target.active--
+      if (isProbe) {
+        target.probeInFlight = false
+      }
+      if (!error) {
+        target.consecutiveFailures = 0
+        // requisições iniciadas antes de o circuito abrir não decidem o probe
+        if (isProbe) {
+          target.state = CLOSED
+          target.openedAt = null
+          target.nextProbeAt = null
+          logger.info({ url }, 'Circuit breaker do webhook fechado; receptor recuperado')
+        }
+      } else {
+        target.consecutiveFailures++
+        target.lastError = { at: Date.now(), message: error.message, statusCode: error.response ? error.response.status : null }
+        if (isProbe || (target.state === CLOSED && target.consecutiveFailures >= failureThreshold)) {
+          openCircuit(target, error)
+        }
+      }
+      notifyWaiters(target)
+    }
+    return { isProbe, release }
+  }
+
+  const toPublicState = (target) => ({
+    url: target.url,
+    state: target.state,
+    activeRequests: target.active,
+    consecutiveFailures: target.consecutiveFailures,
+    openedAt: target.openedAt,
+    nextProbeAt: target.nextProbeAt,
+    timesOpened: target.timesOpened,
+    lastError: target.lastError
+  })
+
+  /**
+   * Estado do circuit breaker de um destino (CLOSED para destinos ainda não usados).
+   *
+   * @param {string} url - URL de destino
+   * @returns {Object}
+   */
+  const getTargetState = (url) => targets.has(url)
+    ? toPublicState(targets.get(url))
+    : { url, state: CLOSED, activeRequests: 0, consecutiveFailures: 0, openedAt: null, nextProbeAt: null, timesOpened: 0, lastError: null }
+
+  /**
+   * Estado de todos os destinos já usados desde o boot.
+   *
+   * @returns {Object[]}
+   */
+  const listTargetStates = () => [...targets.values()].map(toPublicState)
+
+  return { acquireTarget, getTargetState, listTargetStates }
+}
+
+const targetPool = createTargetPool({
+  maxConcurrency: webhookMaxConcurrencyPerTarget,
+  failureThreshold: webhookCircuitFailureThreshold,
+  resetMs: webhookCircuitResetMs
+})
+
+module.exports = {
+  createTargetPool,
+  acquireTarget: targetPool.acquireTarget,
+  getTargetState: targetPool.getTargetState,
+  listTargetStates: targetPool.listTargetStates
+}
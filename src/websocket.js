@@ -1,8 +1,186 @@
 const { WebSocketServer } = require('ws')
-const { enableWebSocket, basePath } = require('./config')
+const { enableWebSocket, basePath, trustProxy, wsHeartbeatIntervalMs, wsMaxBufferedBytes, wsBackpressurePolicy } = require('./config')
 const { logger } = require('./logger')
+const { executeCommand } = require('./websocketCommands')
+const { getEventsSince, omitInlineMedia } = require('./eventLog')
+const { authenticateCredentials, authorizeApiKey, authRequired } = require('./apiKeys')
+const { extractBearerToken } = require('./jwtAuth')
+const { pickTarget, recordAuditEntry } = require('./auditLog')
+const { checkClientIp } = require('./ipAllowlist')
 const wssMap = new Map()
 
+// Subprotocolo devolvido ao cliente quando a API key vai no Sec-WebSocket-Protocol (`apikey.<key>`),
+// para a key não ser ecoada no handshake. Navegadores não enviam headers customizados no upgrade
+const WS_SUBPROTOCOL = 'wwebjs-api'
+const API_KEY_SUBPROTOCOL_PREFIX = 'apikey.'
+
+const selectProtocol = (protocols) => {
+  if (protocols.has(WS_SUBPROTOCOL)) {
+    return WS_SUBPROTOCOL
+  }
+  // navegadores derrubam a conexão se nenhum dos subprotocolos pedidos for aceito; ainda assim o `apikey.<key>`
+  // nunca é escolhido, para não voltar na resposta
+  return [...protocols].find(protocol => !protocol.startsWith(API_KEY_SUBPROTOCOL_PREFIX)) || false
+}
+
+// API key (ou JWT) do upgrade: header x-api-key, subprotocolo `apikey.<key>` ou query `?token=<key>`
+const extractApiKey = (request, url) => {
+  if (request.headers['x-api-key']) {
+    return request.headers['x-api-key']
+  }
+  const protocols = (request.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim())
+  const fromProtocol = protocols.find(p => p.startsWith(API_KEY_SUBPROTOCOL_PREFIX))
+  if (fromProtocol) {
+    return fromProtocol.slice(API_KEY_SUBPROTOCOL_PREFIX.length)
+  }
+  return url.searchParams.get('token')
+}
+
+// Mesma regra do middleware apikey das rotas HTTP: sem API_KEY nem JWT configurados, o acesso é livre.
+// Devolve a credencial autenticada (undefined no acesso livre) ou null quando é inválida.
+// Clientes que não enviam Authorization (navegadores) podem mandar o JWT no lugar da key
+// As credenciais ficam em `request.credentials` para a conexão ser revalidada depois (ver checkConnectionCredential)
+const authenticateUpgrade = (request, url) => {
+  if (!authRequired) {
+    return undefined
+  }
+  request.credentials = {
+    apiKey: extractApiKey(request, url),
+    bearerToken: extractBearerToken(request.headers.authorization)
+  }
+  const { principal } = authenticateCredentials(request.credentials)
+  return principal || null
+}
+
+// Eventos de uma sessão só chegam a conexões cuja key pode ler as mensagens dela
+const canReadSession = (principal, sessionId) => authorizeApiKey(principal, 'messages:read', sessionId).allowed
+
+const rejectUpgrade = (socket, status, statusText, message) => {
+  const body = JSON.stringify({ success: false, error: message })
+  socket.end(
+    `HTTP/1.1 ${status} ${statusText}\r\n` +
+    'Connection: close\r\n' +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    '\r\n' +
+    body
+  )
+}
+
+// Estado por conexão: resposta ao último ping e frames descartados por backpressure
+const connectionStates = new WeakMap()
+const wsMetrics = { droppedFrames: 0, droppedBytes: 0, mediaOmitted: 0, backpressureDisconnects: 0, heartbeatTerminations: 0 }
+const droppedFramesBySession = new Map()
+let heartbeatTimer = null
+
+const listClients = () => {
+  const clients = [...wssMap.values()].flatMap(server => [...server.clients])
+  return globalWss ? clients.concat([...globalWss.clients]) : clients
+}
+
+/**
+ * Autentica de novo a credencial do upgrade: a key pode ter sido revogada, rotacionada ou alterada e o JWT
+ * pode ter expirado desde então. Com a credencial ainda válida, atualiza o principal da conexão.
+ *
+ * @param {Object} state - Estado da conexão (ver trackConnection)
+ * @returns {string|null} Motivo para encerrar a conexão, ou null se a credencial segue válida
+ */
+const checkConnectionCredential = (state) => {
+  if (!authRequired || !state.credentials) {
+    return null
+  }
+  const { principal, error } = authenticateCredentials(state.credentials)
+  if (!principal) {
+    return error
+  }
+  const ipCheck = checkClientIp(state.ip, principal)
+  if (!ipCheck.allowed) {
+    return ipCheck.error
+  }
+  if (state.sessionId && !canReadSession(principal, state.sessionId)) {
+    return `API key is not allowed for session ${state.sessionId}`
+  }
+  state.principal = principal
+  return null
+}
+
+// Fecha com 1008 (policy violation) a conexão cuja credencial deixou de valer
+const closeUnauthorizedConnection = (ws, state, reason) => {
+  logger.warn({ sessionId: state.sessionId, keyId: state.principal?.id || null, reason }, 'WebSocket connection closed: credential no longer valid')
+  // o motivo do close frame é limitado a 123 bytes (as mensagens são ASCII)
+  ws.close(1008, reason.slice(0, 123))
+}
+
+/**
+ * Revalida as conexões abertas com a key informada, encerrando as que perderam o acesso.
+ * Chamada ao alterar, revogar ou rotacionar uma key, para que assinaturas de eventos não sigam ativas.
+ *
+ * @param {string} apiKeyId - Id da key
+ * @returns {number} Conexões encerradas
+ */
+const revalidateConnections = (apiKeyId) => {
+  let closed = 0
+  for (const ws of listClients()) {
+    const state = connectionStates.get(ws)
+    if (!state || state.principal?.id !== apiKeyId || ws.readyState !== ws.OPEN) continue
+    const reason = checkConnectionCredential(state)
+    if (reason) {
+      closeUnauthorizedConnection(ws, state, reason)
+      closed++
+    }
+  }
+  return closed
+}
+
+/**
+ * Envia ping às conexões abertas. Conexão que não respondeu ao ping anterior está morta (aba suspensa,
+ * rede caída) e é derrubada, assim como a conexão cuja credencial deixou de valer (JWT expirado).
+ * Chamada a cada WS_HEARTBEAT_INTERVAL_MS.
+ *
+ * @returns {void}
+ */
+const sendHeartbeats = () => {
+  for (const ws of listClients()) {
+    const state = connectionStates.get(ws)
+    if (!state || ws.readyState !== ws.OPEN) continue
+    const reason = checkConnectionCredential(state)
+    if (reason) {
+      closeUnauthorizedConnection(ws, state, reason)
+      continue
+    }
+    if (!state.isAlive) {
+      wsMetrics.heartbeatTerminations++
+      logger.warn({ sessionId: state.sessionId }, 'WebSocket connection terminated: no pong received')
+      ws.terminate()
+      continue
+    }
+    state.isAlive = false
+    ws.ping()
+  }
+}
+
+// Mesmo critério do Express com `trust proxy`: primeiro endereço do X-Forwarded-For
+const clientIp = (request) => {
+  const forwardedFor = request.headers['x-forwarded-for']
+  if (trustProxy && forwardedFor) {
+    return forwardedFor.split(',')[0].trim()
+  }
+  return request.socket.remoteAddress
+}
+
+const trackConnection = (ws, sessionId, request) => {
+  const state = { sessionId, principal: request.apiKey, credentials: request.credentials, ip: clientIp(request), isAlive: true, droppedFrames: 0 }
+  connectionStates.set(ws, state)
+  ws.on('pong', () => {
+    state.isAlive = true
+  })
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(sendHeartbeats, wsHeartbeatIntervalMs)
+    // não segura o processo aberto no shutdown
+    heartbeatTimer.unref()
+  }
+}
+
 // Function to initialize the WebSocket server if enabled
 const initWebSocketServer = (sessionId) => {
   if (enableWebSocket) {
@@ -12,10 +190,17 @@ const initWebSocketServer = (sessionId) => {
       return
     }
     // init websocket server
-    const wss = new WebSocketServer({ noServer: true })
+    const wss = new WebSocketServer({ noServer: true, handleProtocols: selectProtocol })
     wssMap.set(sessionId, wss)
-    wss.on('connection', (ws) => {
+    wss.on('connection', (ws, request) => {
       logger.debug({ sessionId }, 'WebSocket connection established')
+      trackConnection(ws, sessionId, request)
+      ws.on('message', (raw) => handleFrame(ws, raw, sessionId))
+      // reconexão com ?lastEventId=<id> (ou header Last-Event-ID): reenvia o que foi perdido antes dos eventos ao vivo
+      const lastEventId = new URL(request.url, 'ws://localhost').searchParams.get('lastEventId') || request.headers['last-event-id']
+      if (lastEventId !== null && lastEventId !== undefined) {
+        replayEvents(ws, sessionId, lastEventId, () => true)
+      }
       ws.on('close', () => {
         logger.debug({ sessionId }, 'WebSocket connection closed')
       })
@@ -42,34 +227,354 @@ const terminateWebSocketServer = async (sessionId) => {
   await closeEventSignal
 }
 
-const triggerWebSocket = (sessionId, dataType, data) => {
+// Endpoint global /ws: uma conexão recebe eventos de várias sessões conforme os frames subscribe/unsubscribe
+const MAX_SUBSCRIPTIONS_PER_CONNECTION = 200
+const MAX_PATTERN_LENGTH = 128
+const connectionSubscriptions = new WeakMap()
+let globalWss = null
+
+// Padrão com curinga `*` (ex.: `vendas-*`, `message_*`) convertido para regex ancorada
+const patternToRegex = (pattern) =>
+  new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`)
+
+const parsePatterns = (value, field) => {
+  if (value === undefined) {
+    return { patterns: ['*'] }
+  }
+  const patterns = Array.isArray(value) ? value : [value]
+  if (patterns.length === 0 || !patterns.every(p => typeof p === 'string' && p.length > 0 && p.length <= MAX_PATTERN_LENGTH)) {
+    return { error: `${field} must be a non-empty string or array of strings` }
+  }
+  return { patterns }
+}
+
+/**
+ * Envia um frame de controle (replay, resposta de comando, subscribe), sujeito ao mesmo limite de WS_MAX_BUFFERED_BYTES dos eventos.
+ *
+ * @param {WebSocket} ws - Conexão
+ * @param {Object} frame - Frame a serializar
+ * @returns {void}
+ */
+const sendFrame = (ws, frame) => {
+  sendToClient(ws, frame.sessionId || connectionStates.get(ws)?.sessionId, JSON.stringify(frame))
+}
+
+const listSubscriptions = (subscriptions) =>
+  [...subscriptions.values()].map(({ session, event }) => ({ session, event }))
+
+const handleSubscriptionFrame = (ws, frame) => {
+  const subscriptions = connectionSubscriptions.get(ws)
+  const sessions = parsePatterns(frame.sessions, 'sessions')
+  const events = parsePatterns(frame.events, 'events')
+  const error = sessions.error || events.error
+  if (error) {
+    return sendFrame(ws, { type: 'error', id: frame.id, error })
+  }
+  if (frame.type === 'unsubscribe' && frame.sessions === undefined && frame.events === undefined) {
+    subscriptions.clear()
+  } else {
+    for (const session of sessions.patterns) {
+      for (const event of events.patterns) {
+        const key = `${session}\u0000${event}`
+        if (frame.type === 'unsubscribe') {
+          subscriptions.delete(key)
+        } else if (!subscriptions.has(key)) {
+          if (subscriptions.size >= MAX_SUBSCRIPTIONS_PER_CONNECTION) {
+            return sendFrame(ws, { type: 'error', id: frame.id, error: `Subscription limit reached (${MAX_SUBSCRIPTIONS_PER_CONNECTION})` })
+          }
+          subscriptions.set(key, { session, event, sessionRegex: patternToRegex(session), eventRegex: patternToRegex(event) })
+        }
+      }
+    }
+  }
+  sendFrame(ws, { type: frame.type === 'unsubscribe' ? 'unsubscribed' : 'subscribed', id: frame.id, subscriptions: listSubscriptions(subscriptions) })
+  // `since: { <sessionId>: <lastEventId> }` no subscribe reenvia os eventos perdidos que casam com as assinaturas
+  if (frame.type === 'subscribe' && frame.since && typeof frame.since === 'object') {
+    for (const [sessionId, lastEventId] of Object.entries(frame.since)) {
+      replayEvents(ws, sessionId, lastEventId, (dataType) => isSubscribed(ws, sessionId, dataType))
+    }
+  }
+}
+
+// Comandos em andamento por conexão; acima do limite o frame é recusado com status 429
+const MAX_PENDING_COMMANDS = 20
+const pendingCommands = new WeakMap()
+
+const handleCommandFrame = async (ws, frame, sessionId) => {
+  const pending = pendingCommands.get(ws) || 0
+  if (pending >= MAX_PENDING_COMMANDS) {
+    return sendFrame(ws, { type: 'response', id: frame.id, status: 429, success: false, error: `Too many pending commands (${MAX_PENDING_COMMANDS})` })
+  }
+  const state = connectionStates.get(ws)
+  // cada comando usa a credencial atual: uma key revogada ou um JWT expirado encerra a conexão
+  const reason = state && checkConnectionCredential(state)
+  if (reason) {
+    sendFrame(ws, { type: 'response', id: frame.id, status: 401, success: false, error: reason })
+    return closeUnauthorizedConnection(ws, state, reason)
+  }
+  pendingCommands.set(ws, pending + 1)
+  const startedAt = Date.now()
+  let status = 500
+  try {
+    const response = await executeCommand(sessionId, frame.command, frame.params || {}, state?.principal, state?.ip)
+    status = response.status
+    sendFrame(ws, { type: 'response', id: frame.id, status, ...response.body })
+  } catch (error) {
+    logger.error({ sessionId, command: frame.command, err: error }, 'WebSocket command failed')
+    sendFrame(ws, { type: 'response', id: frame.id, status: 500, success: false, error: error.message })
+  } finally {
+    // comandos alteram estado (envio, seen, typing, reação): auditados como as rotas HTTP equivalentes
+    recordAuditEntry({
+      keyId: state?.principal?.id || null,
+      ip: state?.ip || null,
+      method: 'WS',
+      route: `ws:${String(frame.command).slice(0, 100)}`,
+      sessionId: typeof sessionId === 'string' ? sessionId : null,
+      target: pickTarget(frame.params),
+      status,
+      durationMs: Date.now() - startedAt
+    })
+    pendingCommands.set(ws, (pendingCommands.get(ws) || 1) - 1)
+  }
+}
+
+// Frames do cliente. Na conexão de uma sessão (`/ws/<sessionId>`) só há comandos e a sessão é implícita;
+// no endpoint global o comando informa `sessionId` e há também subscribe/unsubscribe
+const handleFrame = (ws, raw, connectionSessionId) => {
+  let frame
+  try {
+    frame = JSON.parse(raw)
+  } catch {
+    return sendFrame(ws, { type: 'error', error: 'Invalid JSON frame' })
+  }
+  if (!frame || typeof frame !== 'object') {
+    return sendFrame(ws, { type: 'error', error: 'Invalid frame' })
+  }
+  switch (frame.type) {
+    case 'command':
+      return handleCommandFrame(ws, frame, connectionSessionId || frame.sessionId)
+    case 'subscribe':
+    case 'unsubscribe':
+      if (!connectionSessionId) {
+        return handleSubscriptionFrame(ws, frame)
+      }
+      break
+  }
+  return sendFrame(ws, { type: 'error', id: frame.id, error: `Unknown frame type: ${frame.type}` })
+}
+
+const getGlobalWebSocketServer = () => {
+  if (!globalWss) {
+    globalWss = new WebSocketServer({ noServer: true, handleProtocols: selectProtocol })
+    globalWss.on('connection', (ws, request) => {
+      connectionSubscriptions.set(ws, new Map())
+      logger.debug('Global WebSocket connection established')
+      trackConnection(ws, undefined, request)
+      ws.on('message', (raw) => handleFrame(ws, raw))
+      ws.on('close', () => {
+        logger.debug('Global WebSocket connection closed')
+      })
+      ws.on('error', () => {
+        logger.error('Global WebSocket connection error')
+      })
+    })
+  }
+  return globalWss
+}
+
+const isSubscribed = (ws, sessionId, dataType) => {
+  const subscriptions = connectionSubscriptions.get(ws)
+  if (!subscriptions || !canReadSession(connectionStates.get(ws)?.principal, sessionId)) {
+    return false
+  }
+  for (const { sessionRegex, eventRegex } of subscriptions.values()) {
+    if (sessionRegex.test(sessionId) && eventRegex.test(dataType)) {
+      return true
+    }
+  }
+  return false
+}
+
+const eventFrame = (eventId, sessionId, dataType, data) =>
+  eventId !== undefined ? { eventId, dataType, data, sessionId } : { dataType, data, sessionId }
+
+// Reenvia os eventos do buffer após `lastEventId` e fecha com um frame `replayed` (truncated = houve perda)
+const replayEvents = (ws, sessionId, lastEventId, filter) => {
+  const cursor = Number(lastEventId)
+  if (!/^[\w-]+$/.test(sessionId) || !Number.isInteger(cursor) || cursor < 0) {
+    return sendFrame(ws, { type: 'error', error: `Invalid lastEventId for session ${sessionId}` })
+  }
+  const { events, lastEventId: next, truncated } = getEventsSince(sessionId, cursor)
+  let count = 0
+  for (const event of events) {
+    if (!filter(event.dataType)) continue
+    sendFrame(ws, { ...eventFrame(event.id, sessionId, event.dataType, event.data), ...(event.dataOmitted && { dataOmitted: true }) })
+    count++
+  }
+  sendFrame(ws, { type: 'replayed', sessionId, count, lastEventId: next, truncated })
+}
+
+// Cliente com mais de WS_MAX_BUFFERED_BYTES pendentes: aplica WS_BACKPRESSURE_POLICY em vez de acumular memória
+const applyBackpressure = (ws, sessionId, payload, withoutMediaPayload, policy) => {
+  const state = connectionStates.get(ws) || { droppedFrames: 0 }
+  if (policy === 'skip_media') {
+    const reduced = withoutMediaPayload()
+    if (reduced) {
+      wsMetrics.mediaOmitted++
+      return ws.send(reduced)
+    }
+    // eventos sem mídia inline são pequenos e seguem sendo entregues
+    return ws.send(payload)
+  }
+  if (policy === 'disconnect') {
+    wsMetrics.backpressureDisconnects++
+    logger.warn({ sessionId, bufferedAmount: ws.bufferedAmount }, 'WebSocket connection terminated: too much buffered data')
+    // o cliente reconecta com lastEventId e recupera o que perdeu pelo replay
+    return ws.terminate()
+  }
+  if (state.droppedFrames === 0) {
+    logger.warn({ sessionId, bufferedAmount: ws.bufferedAmount }, 'WebSocket client too slow; dropping frames')
+  }
+  state.droppedFrames++
+  wsMetrics.droppedFrames++
+  wsMetrics.droppedBytes += Buffer.byteLength(payload)
+  if (sessionId) {
+    droppedFramesBySession.set(sessionId, (droppedFramesBySession.get(sessionId) || 0) + 1)
+  }
+}
+
+/**
+ * Envia um frame já serializado ao cliente ou, se ele tem mais de `maxBufferedBytes` pendentes, aplica a política de backpressure.
+ *
+ * @param {WebSocket} ws - Conexão
+ * @param {string} [sessionId] - Sessão do frame (métricas de descarte por sessão)
+ * @param {string} payload - Frame serializado
+ * @param {Function} [withoutMediaPayload] - Devolve o frame sem a mídia inline, ou null se não há mídia (política skip_media)
+ * @param {Object} [options] - `maxBufferedBytes` e `policy` (padrão: WS_MAX_BUFFERED_BYTES e WS_BACKPRESSURE_POLICY; para testes)
+ * @returns {void}
+ */
+const sendToClient = (ws, sessionId, payload, withoutMediaPayload = () => null, { maxBufferedBytes = wsMaxBufferedBytes, policy = wsBackpressurePolicy } = {}) => {
+  if (ws.readyState !== ws.OPEN) {
+    return
+  }
+  if (ws.bufferedAmount < maxBufferedBytes) {
+    return ws.send(payload)
+  }
+  applyBackpressure(ws, sessionId, payload, withoutMediaPayload, policy)
+}
+
+const triggerWebSocket = (sessionId, dataType, data, eventId) => {
   const server = wssMap.get(sessionId)
-  if (server) {
-    for (const ws of server.clients) {
-      ws.send(JSON.stringify({ dataType, data, sessionId }))
+  const recipients = server ? [...server.clients] : []
+  if (globalWss) {
+    for (const ws of globalWss.clients) {
+      if (isSubscribed(ws, sessionId, dataType)) {
+        recipients.push(ws)
+      }
+    }
+  }
+  let payload
+  let withoutMediaPayload
+  const reducedPayload = () => {
+    if (withoutMediaPayload === undefined) {
+      const withoutMedia = omitInlineMedia(dataType, data)
+      withoutMediaPayload = withoutMedia ? JSON.stringify({ ...eventFrame(eventId, sessionId, dataType, withoutMedia), dataOmitted: true }) : null
     }
+    return withoutMediaPayload
+  }
+  for (const ws of recipients) {
+    if (ws.readyState !== ws.OPEN) continue
+    payload = payload || JSON.stringify(eventFrame(eventId, sessionId, dataType, data))
+    sendToClient(ws, sessionId, payload, reducedPayload)
   }
 }
 
+/**
+ * Conexões abertas, configuração de heartbeat/backpressure e contadores de frames descartados.
+ *
+ * @returns {Object}
+ */
+const getWebSocketStats = () => {
+  const sessions = {}
+  for (const [sessionId, server] of wssMap) {
+    sessions[sessionId] = server.clients.size
+  }
+  return {
+    heartbeatIntervalMs: wsHeartbeatIntervalMs,
+    maxBufferedBytes: wsMaxBufferedBytes,
+    backpressurePolicy: wsBackpressurePolicy,
+    connections: { global: globalWss ? globalWss.clients.size : 0, sessions },
+    ...wsMetrics,
+    droppedFramesBySession: Object.fromEntries(droppedFramesBySession)
+  }
+}
+
+// Upgrade recusado pela allowlist de IPs, registrado no log de auditoria como nas rotas HTTP
+const rejectUpgradeByIp = (socket, pathname, ip, principal, error) => {
+  logger.warn({ remoteAddress: ip }, 'WebSocket upgrade rejected: IP not allowed')
+  recordAuditEntry({
+    keyId: principal?.id || null,
+    ip,
+    method: 'WS',
+    route: pathname,
+    sessionId: null,
+    target: null,
+    status: 403,
+    reason: 'ip_not_allowed'
+  })
+  rejectUpgrade(socket, 403, 'Forbidden', error)
+}
+
 const handleUpgrade = (request, socket, head) => {
   const host = request.headers['x-forwarded-host'] || request.headers.host
   const baseUrl = 'ws://' + host + '/'
-  const { pathname } = new URL(request.url, baseUrl)
-  
+  const url = new URL(request.url, baseUrl)
+  const { pathname } = url
+
   // Handle base path for WebSocket connections
-  const wsPath = basePath ? `${basePath}/ws/` : '/ws/'
-  if (pathname.startsWith(wsPath)) {
+  const globalWsPath = `${basePath.replace(/\/+$/, '')}/ws`
+  const wsPath = `${globalWsPath}/`
+  if (pathname !== globalWsPath && !pathname.startsWith(wsPath)) {
+    socket.destroy()
+    return
+  }
+  const ip = clientIp(request)
+  const ipCheck = checkClientIp(ip)
+  if (!ipCheck.allowed) {
+    return rejectUpgradeByIp(socket, pathname, ip, undefined, ipCheck.error)
+  }
+  // autentica antes de consultar a sessão, para não revelar quais sessões existem
+  const principal = authenticateUpgrade(request, url)
+  if (principal === null) {
+    logger.warn({ remoteAddress: socket.remoteAddress }, 'WebSocket upgrade rejected: invalid API key')
+    rejectUpgrade(socket, 401, 'Unauthorized', 'Invalid API key')
+    return
+  }
+  const keyIpCheck = checkClientIp(ip, principal)
+  if (!keyIpCheck.allowed) {
+    return rejectUpgradeByIp(socket, pathname, ip, principal, keyIpCheck.error)
+  }
+  request.apiKey = principal
+  let server
+  if (pathname === globalWsPath) {
+    server = getGlobalWebSocketServer()
+  } else {
     const pathParts = pathname.split('/')
     const sessionId = pathParts[pathParts.length - 1]
-    const server = wssMap.get(sessionId)
-    if (server) {
-      server.handleUpgrade(request, socket, head, (ws) => {
-        server.emit('connection', ws, request)
-      })
+    if (!canReadSession(principal, sessionId)) {
+      logger.warn({ remoteAddress: socket.remoteAddress, sessionId }, 'WebSocket upgrade rejected: API key not allowed for session')
+      rejectUpgrade(socket, 403, 'Forbidden', `API key is not allowed for session ${sessionId}`)
       return
     }
+    server = wssMap.get(sessionId)
+  }
+  if (!server) {
+    socket.destroy()
+    return
   }
-  socket.destroy()
+  server.handleUpgrade(request, socket, head, (ws) => {
+    server.emit('connection', ws, request)
+  })
 }
 
-module.exports = { initWebSocketServer, terminateWebSocketServer, handleUpgrade, triggerWebSocket }
+module.exports = { initWebSocketServer, terminateWebSocketServer, handleUpgrade, triggerWebSocket, getWebSocketStats, sendFrame, sendToClient, sendHeartbeats, revalidateConnections }
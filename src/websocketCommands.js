@@ -0,0 +1,84 @@
+const { logger } = require('./logger')
+const { authorizeApiKey } = require('./apiKeys')
+const { ROUTE_SCOPES } = require('./apiScopes')
+
+// Comandos aceitos pelo canal WebSocket e o controller HTTP equivalente (mesma validação e mesmas respostas).
+// Controllers carregados sob demanda: sessions -> websocket -> controllers -> sessions formaria ciclo no require
+const COMMANDS = {
+  sendMessage: () => require('./controllers/clientController').sendMessage,
+  sendSeen: () => require('./controllers/chatController').sendSeen,
+  sendStateTyping: () => require('./controllers/chatController').sendStateTyping,
+  react: () => require('./controllers/messageController').react
+}
+
+// Escopo de cada comando: o mesmo da rota HTTP equivalente
+const COMMAND_SCOPES = {
+  sendMessage: ROUTE_SCOPES.client.sendMessage,
+  sendSeen: ROUTE_SCOPES.chat.sendSeen,
+  sendStateTyping: ROUTE_SCOPES.chat.sendStateTyping,
+  react: ROUTE_SCOPES.message.react
+}
+
+// Executa um handler Express com req/res mínimos e devolve { status, body }
+const invokeController = (handler, sessionId, body) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    status (code) {
+      this.statusCode = code
+      return this
+    },
+    json (payload) {
+      resolve({ status: this.statusCode, body: payload })
+      return this
+    },
+    set () {
+      return this
+    }
+  }
+  const req = { params: { sessionId }, body, query: {}, headers: {} }
+  Promise.resolve(handler(req, res))
+    .then(() => resolve({ status: 500, body: { success: false, error: 'No response from command handler' } }))
+    .catch(error => resolve({ status: 500, body: { success: false, error: error.message } }))
+})
+
+/**
+ * Executa um comando recebido pelo WebSocket na sessão indicada.
+ *
+ * @param {string} sessionId - Sessão alvo
+ * @param {string} command - Nome do comando (sendMessage, sendSeen, sendStateTyping, react)
+ * @param {Object} params - Mesmo corpo aceito pela rota HTTP equivalente
+ * @param {Object} [principal] - Key autenticada no upgrade (undefined sem API_KEY configurada)
+ * @param {string} [ip] - IP do cliente, para o limite por IP sem API_KEY
+ * @returns {Promise<{ status: number, body: Object }>} Status HTTP equivalente e corpo da resposta
+ */
+const executeCommand = async (sessionId, command, params, principal, ip) => {
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+    return { status: 400, body: { success: false, error: `Unknown command: ${command}` } }
+  }
+  if (typeof sessionId !== 'string' || !/^[\w-]+$/.test(sessionId)) {
+    return { status: 422, body: { success: false, error: 'Session should be alphanumerical or -' } }
+  }
+  // mesmos limites por key e por sessão das rotas HTTP; middleware carregado aqui pelo mesmo ciclo de require
+  const rateLimited = await require('./middleware').consumeCommandRateLimit(principal, ip, sessionId)
+  if (rateLimited) {
+    return { status: 429, body: { success: false, error: rateLimited } }
+  }
+  const { allowed, error } = authorizeApiKey(principal, COMMAND_SCOPES[command], sessionId)
+  if (!allowed) {
+    return { status: 403, body: { success: false, error } }
+  }
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return { status: 400, body: { success: false, error: 'params must be an object' } }
+  }
+  const { validateSession } = require('./sessions')
+  const validation = await validateSession(sessionId)
+  if (validation.success !== true) {
+    return { status: 404, body: { success: false, error: validation.message } }
+  }
+  logger.debug({ sessionId, command }, 'Comando recebido via WebSocket')
+  return invokeController(COMMANDS[command](), sessionId, params)
+}
+
+module.exports = {
+  executeCommand
+}
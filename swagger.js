@@ -23,6 +23,11 @@ const doc = {
       type: 'apiKey',
       in: 'header',
       name: 'x-api-key'
+    },
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT'
     }
   },
   produces: ['application/json'],
@@ -37,6 +42,22 @@ const doc = {
     },
     {
       name: 'Message'
+    },
+    {
+      name: 'Webhook',
+      description: 'Webhook subscriptions and delivery management (failed deliveries, replay)'
+    },
+    {
+      name: 'Media',
+      description: 'Downloads of media offloaded to the media store'
+    },
+    {
+      name: 'API Keys',
+      description: 'Per-session API keys with scopes (requires the global API key)'
+    },
+    {
+      name: 'Audit',
+      description: 'Log of state-changing API calls'
     }
   ],
   definitions: {